@@ -1,9 +1,12 @@
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useParams } from 'react-router-dom';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import Chat from './pages/Chat';
+import NotFound from './pages/NotFound';
 import ProtectedRoute from './components/ProtectedRoute';
-import { authService } from './services/authService';
+import AuthProvider from './context/AuthProvider';
+import { useAuth } from './hooks/useAuth';
+import { getRouteConversationKey } from './utils/conversations';
 
 /**
  * Main App component with routing.
@@ -12,35 +15,63 @@ import { authService } from './services/authService';
  * - /login: Login page
  * - /register: Registration page
  * - /chat: Main chat interface (protected)
+ * - /chat/:userId, /chat/group/:groupId: Chat with that conversation open
  * - /: Redirects to chat if authenticated, otherwise to login
+ * - anything else: Not found page
+ *
+ * AuthProvider wraps the router so routes react to login/logout (also from other tabs).
  */
 function App() {
   return (
-    <Router>
-      <Routes>
-        <Route path="/login" element={<Login />} />
-        <Route path="/register" element={<Register />} />
-        <Route
-          path="/chat"
-          element={
-            <ProtectedRoute>
-              <Chat />
-            </ProtectedRoute>
-          }
-        />
-        <Route
-          path="/"
-          element={
-            authService.isAuthenticated() ? (
-              <Navigate to="/chat" replace />
-            ) : (
-              <Navigate to="/login" replace />
-            )
-          }
-        />
-      </Routes>
-    </Router>
+    <AuthProvider>
+      <Router>
+        <AppRoutes />
+      </Router>
+    </AuthProvider>
   );
 }
 
+function AppRoutes() {
+  const { isAuthenticated } = useAuth();
+  // The same element on every chat route, so switching conversations keeps the page
+  const chatElement = (
+    <ProtectedRoute>
+      <ChatRoute />
+    </ProtectedRoute>
+  );
+
+  return (
+    <Routes>
+      <Route path="/login" element={<Login />} />
+      <Route path="/register" element={<Register />} />
+      <Route path="/chat" element={chatElement} />
+      <Route path="/chat/:userId" element={chatElement} />
+      <Route path="/chat/group/:groupId" element={chatElement} />
+      <Route
+        path="/"
+        element={
+          isAuthenticated ? (
+            <Navigate to="/chat" replace />
+          ) : (
+            <Navigate to="/login" replace />
+          )
+        }
+      />
+      <Route path="*" element={<NotFound />} />
+    </Routes>
+  );
+}
+
+function ChatRoute() {
+  const { user } = useAuth();
+  const conversationKey = getRouteConversationKey(useParams());
+
+  if (conversationKey === undefined) {
+    return <NotFound />;
+  }
+
+  // Remount when another tab signs in as a different user
+  return <Chat key={user.userId} conversationKey={conversationKey} />;
+}
+
 export default App;
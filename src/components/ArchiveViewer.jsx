@@ -0,0 +1,245 @@
+import { useEffect, useState } from 'react';
+import VirtualList from './VirtualList';
+import FormattedMessage from './FormattedMessage';
+import MessageAttachments from './MessageAttachments';
+import ImageLightbox from './ImageLightbox';
+import { archiveService } from '../services/archiveService';
+import { getMessagePreviewText } from '../utils/attachments';
+
+const formatDateTime = (timestamp) =>
+  new Date(timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * ArchiveViewer shows an imported JSON archive read-only, over the page.
+ * Messages are laid out like the chat (the exporting user's on the right)
+ * with names from the archive itself. With `error` it explains why a file
+ * could not be opened instead. Escape or the close button closes it.
+ */
+export default function ArchiveViewer({ archive, error, fileName, onClose }) {
+  const [lightboxAttachment, setLightboxAttachment] = useState(null);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // The lightbox closes first
+      if (e.key === 'Escape' && !lightboxAttachment) onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, lightboxAttachment]);
+
+  const getName = archive ? archiveService.getParticipantNames(archive) : null;
+  const messagesById = new Map((archive?.messages || []).map((message) => [message.id, message]));
+
+  const renderMessage = (message) => {
+    const isOwn = message.senderId === archive.exportedBy?.userId;
+    const quoted = message.replyToId ? messagesById.get(message.replyToId) || message.replyTo : null;
+
+    return (
+      <div style={{ ...styles.messageWrapper, justifyContent: isOwn ? 'flex-end' : 'flex-start' }}>
+        <div style={{ ...styles.bubble, ...(message.deletedAt ? styles.deletedBubble : {}) }}>
+          <div style={styles.messageMeta}>
+            <span style={styles.sender}>{getName(message.senderId)}</span>
+            <span>
+              {formatDateTime(message.timestamp)}
+              {message.editedAt && ' · edited'}
+            </span>
+          </div>
+          {message.replyToId && (
+            <div style={styles.quote}>
+              {quoted ? `${getName(quoted.senderId)}: ${getMessagePreviewText(quoted)}` : 'Original message'}
+            </div>
+          )}
+          {message.deletedAt ? (
+            <span>This message was deleted</span>
+          ) : (
+            <>
+              {message.attachments?.length > 0 && (
+                <MessageAttachments attachments={message.attachments} onOpenImage={setLightboxAttachment} />
+              )}
+              {message.content && <FormattedMessage text={message.content} style={styles.content} />}
+              {message.reactions?.length > 0 && (
+                <div style={styles.reactions}>
+                  {message.reactions.map(({ emoji, userIds }) => (
+                    <span key={emoji} style={styles.reaction} title={userIds.map(getName).join(', ')}>
+                      {emoji} {userIds.length}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div style={styles.overlay} role="dialog" aria-modal="true" aria-labelledby="archive-viewer-title">
+      <div style={styles.panel}>
+        <div style={styles.header}>
+          <div style={styles.headerText}>
+            <h2 id="archive-viewer-title" style={styles.title}>
+              {archive ? archive.conversation.title : fileName}
+            </h2>
+            {archive && (
+              <p style={styles.subtitle}>
+                Archive &middot; {archiveService.describeRange(archive)} &middot; {archive.messages.length} messages
+                &middot; exported {formatDateTime(archive.exportedAt)} by {archive.exportedBy?.username}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} style={styles.closeButton} aria-label="Close archive">
+            &times;
+          </button>
+        </div>
+
+        {error ? (
+          <p style={styles.error}>{error}</p>
+        ) : archive.messages.length === 0 ? (
+          <p style={styles.empty}>This archive has no messages.</p>
+        ) : (
+          <VirtualList
+            items={archive.messages}
+            getKey={(message) => message.id}
+            renderItem={renderMessage}
+            resetKey={archive.exportedAt}
+            style={styles.messages}
+          />
+        )}
+      </div>
+
+      {lightboxAttachment && (
+        <ImageLightbox attachment={lightboxAttachment} onClose={() => setLightboxAttachment(null)} />
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  overlay: {
+    position: 'fixed',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    zIndex: 1000,
+  },
+  panel: {
+    display: 'flex',
+    flexDirection: 'column',
+    width: '100%',
+    maxWidth: '760px',
+    height: '90vh',
+    backgroundColor: '#fff',
+    borderRadius: '12px',
+    boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+    overflow: 'hidden',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '12px',
+    padding: '16px 20px',
+    borderBottom: '1px solid #e0e0e0',
+  },
+  headerText: {
+    flex: 1,
+    minWidth: 0,
+  },
+  title: {
+    margin: '0 0 4px 0',
+    fontSize: '18px',
+    fontWeight: '600',
+    color: '#333',
+  },
+  subtitle: {
+    margin: 0,
+    fontSize: '12px',
+    color: '#999',
+  },
+  closeButton: {
+    border: 'none',
+    background: 'none',
+    fontSize: '22px',
+    lineHeight: 1,
+    color: '#999',
+    cursor: 'pointer',
+  },
+  messages: {
+    flex: 1,
+    overflowY: 'auto',
+    minHeight: 0,
+    padding: '0 20px',
+    backgroundColor: '#f5f5f5',
+  },
+  messageWrapper: {
+    display: 'flex',
+    margin: '6px 0',
+  },
+  bubble: {
+    maxWidth: '70%',
+    padding: '8px 12px',
+    backgroundColor: '#fff',
+    border: '1px solid #e0e0e0',
+    borderRadius: '12px',
+    fontSize: '14px',
+  },
+  deletedBubble: {
+    color: '#999',
+    fontStyle: 'italic',
+    fontSize: '13px',
+  },
+  messageMeta: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: '12px',
+    marginBottom: '2px',
+    fontSize: '11px',
+    color: '#999',
+  },
+  sender: {
+    fontWeight: '600',
+    color: '#7e57c2',
+  },
+  quote: {
+    margin: '2px 0 6px',
+    padding: '4px 8px',
+    borderLeft: '3px solid #2196f3',
+    backgroundColor: '#f5f5f5',
+    borderRadius: '4px',
+    fontSize: '12px',
+    color: '#555',
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+  },
+  content: {
+    lineHeight: '1.4',
+  },
+  reactions: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '4px',
+    marginTop: '4px',
+  },
+  reaction: {
+    padding: '1px 8px',
+    border: '1px solid #e0e0e0',
+    borderRadius: '12px',
+    fontSize: '12px',
+  },
+  error: {
+    margin: '20px',
+    padding: '12px',
+    backgroundColor: '#ffebee',
+    color: '#c62828',
+    borderRadius: '8px',
+    fontSize: '14px',
+  },
+  empty: {
+    textAlign: 'center',
+    color: '#999',
+    marginTop: '20px',
+  },
+};
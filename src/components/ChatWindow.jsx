@@ -1,69 +1,655 @@
-import { useEffect, useRef } from 'react';
+import { useEffect, useMemo, useState } from 'react';
+import VirtualList from './VirtualList';
+import MessageAttachments from './MessageAttachments';
+import ImageLightbox from './ImageLightbox';
+import FormattedMessage from './FormattedMessage';
+import { formatLastSeen } from '../utils/time';
+import { createFocusRequest } from '../utils/conversations';
+import { getMessagePreviewText } from '../utils/attachments';
+import { QUICK_REACTIONS, hasReacted } from '../utils/reactions';
+import { useSeenTracker } from '../hooks/useSeenTracker';
+
+const DELIVERY_STATUS_LABELS = {
+  pending: 'Waiting to send',
+  sending: 'Sending...',
+  sent: '\u2713',
+  delivered: '\u2713\u2713',
+  seen: '\u2713\u2713 Seen',
+  failed: 'Failed to send',
+};
 
 /**
- * ChatWindow component displays the conversation with selected user.
- * Auto-scrolls to bottom when new messages arrive.
+ * Outbox status for optimistic copies, receipt-based status for server copies.
  */
-export default function ChatWindow({ selectedUser, messages, currentUserId }) {
-  const messagesEndRef = useRef(null);
+const getDeliveryStatus = (message, isSent) => {
+  if (message.deliveryStatus) return message.deliveryStatus;
+  if (!isSent) return null;
+  if (message.readAt || message.isRead) return 'seen';
+  if (message.deliveredAt) return 'delivered';
+  return 'sent';
+};
+
+// Same key for the optimistic copy and its server copy, so the row (and its measured height) is reused
+const getRowKey = (row) => (row.type === 'marker' ? row.key : row.clientMessageId || row.id);
+
+const getPresenceText = (presence) => {
+  if (!presence) return '';
+  if (presence.isOnline) return 'Online';
+  return presence.lastSeen ? formatLastSeen(presence.lastSeen) : 'Offline';
+};
+
+const getTypingText = (names) => {
+  if (names.length === 1) return `${names[0]} is typing...`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing...`;
+  return 'Several people are typing...';
+};
+
+// How long a jumped-to message stays highlighted, and a failed jump's notice stays up
+const HIGHLIGHT_DURATION_MS = 2000;
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+/**
+ * Outbox entries are rendered as the current user's own messages.
+ * The outbox "sent" status means delivered but not yet echoed, which the UI
+ * treats like any sent message.
+ */
+const toOptimisticMessage = (item, currentUserId) => ({
+  id: item.id,
+  clientMessageId: item.id,
+  senderId: currentUserId,
+  receiverId: item.receiverId,
+  groupId: item.groupId,
+  content: item.content,
+  encrypted: item.encryptFor != null,
+  replyToId: item.replyTo?.id,
+  replyTo: item.replyTo,
+  // Not-yet-uploaded files are previewed from the queued Blob
+  attachments: item.attachments?.map(
+    (a) => a.uploaded || { fileName: a.fileName, contentType: a.contentType, size: a.size, file: a.file }
+  ),
+  uploading: item.status === 'sending' && (item.attachments || []).some((a) => !a.uploaded),
+  timestamp: new Date(item.createdAt).toISOString(),
+  deliveryStatus: item.status,
+  attempts: item.attempts,
+  lastError: item.lastError,
+});
+
+/**
+ * ChatWindow component displays the selected conversation, direct or group.
+ * In groups, received messages are labelled with the sender's name.
+ * Messages are rendered through VirtualList, so only visible bubbles are mounted;
+ * it sticks to the bottom for new messages and stays anchored while older
+ * pages are prepended (loaded when scrolling to the top).
+ * Outgoing messages appear immediately from the outbox with their delivery
+ * status (and upload progress for attachments) and are replaced in place by
+ * the server copy once confirmed. Image attachments open in a lightbox.
+ * Message text is rendered with markdown-style formatting (FormattedMessage).
+ * Hovering one's own sent messages offers edit and delete; queued edits and
+ * deletions (pendingChanges, from the outbox) show at once, before the
+ * server confirms them.
+ * Any confirmed message can be replied to (onReply); a reply shows the quoted
+ * original, and clicking the quote scrolls to and highlights it, with
+ * onJumpToMessage loading older history until the original is there.
+ * The parent can focus a message the same way with focusRequest
+ * (see createFocusRequest in utils/conversations) once the message is loaded.
+ * Hovering a confirmed message also offers quick emoji reactions; reactions
+ * show as chips with counts under the bubble, and clicking a chip toggles
+ * the current user's reaction (onReact).
+ * Direct conversations have an encryption button in the header (a lock while
+ * isEncrypted) that opens the fingerprint check (onShowEncryption); while
+ * encrypted, keyConflict shows a warning that another browser's key is the
+ * user's published one.
+ * End-to-end encrypted messages carry a lock by the time, with a warning
+ * instead when the sender's key is not their published one.
+ */
+export default function ChatWindow({
+  conversation,
+  presence,
+  userNames = {},
+  isMuted = false,
+  onToggleMute,
+  onManageGroup,
+  onExport,
+  isEncrypted = false,
+  keyConflict = false,
+  onShowEncryption,
+  typingNames = [],
+  messages,
+  loading = false,
+  hasMore = false,
+  loadingOlder = false,
+  queuedMessages = [],
+  uploadProgress = {},
+  pendingChanges = {},
+  currentUserId,
+  onEditMessage,
+  onDeleteMessage,
+  onReply,
+  onJumpToMessage,
+  onReact,
+  focusRequest,
+  onRetryMessage,
+  onDiscardMessage,
+  onLoadOlder,
+  onMessagesSeen,
+}) {
+  const trackSeen = useSeenTracker((ids) => onMessagesSeen?.(ids));
+  const [lightboxAttachment, setLightboxAttachment] = useState(null);
+  const [jumpRequest, setJumpRequest] = useState(null); // { conversationKey, messageId, requestedAt }
+  const [expiredRequest, setExpiredRequest] = useState(null); // request whose highlight has faded
+  const [jumpNotice, setJumpNotice] = useState(null); // { text }
+
+  // The newest of a quote click here and a request from the parent (e.g. search)
+  const focus =
+    [jumpRequest, focusRequest]
+      .filter((request) => request && request.conversationKey === conversation?.key)
+      .sort((a, b) => b.requestedAt - a.requestedAt)[0] || null;
+  const activeFocus = focus !== expiredRequest ? focus : null;
+
+  useEffect(() => {
+    if (!focus) return undefined;
+    const timer = setTimeout(() => setExpiredRequest(focus), HIGHLIGHT_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [focus]);
 
-  // Auto-scroll to bottom when messages change
   useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+    if (!jumpNotice) return undefined;
+    const timer = setTimeout(() => setJumpNotice(null), HIGHLIGHT_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [jumpNotice]);
 
-  if (!selectedUser) {
+  // The row key of the focused message, once it is loaded
+  const scrollTarget = activeFocus
+    ? messages.find((message) => message.id === activeFocus.messageId)
+    : null;
+  const scrollTargetRowKey = scrollTarget ? getRowKey(scrollTarget) : null;
+  // One object per request, so VirtualList scrolls once and not on every update
+  const scrollTo = useMemo(
+    () => (scrollTargetRowKey ? { key: scrollTargetRowKey, request: activeFocus } : null),
+    [scrollTargetRowKey, activeFocus]
+  );
+
+  if (!conversation) {
     return (
       <div style={styles.emptyState}>
         <h3>Welcome to Communicator</h3>
-        <p>Select a user from the list to start chatting</p>
+        <p>Select a conversation from the list to start chatting</p>
       </div>
     );
   }
 
+  const isGroup = conversation.type === 'group';
+  const groupMemberText = isGroup
+    ? `${conversation.group.memberIds.length} members: ${conversation.group.memberIds
+        .map((userId) => (userId === currentUserId ? 'You' : userNames[userId] || `User ${userId}`))
+        .join(', ')}`
+    : '';
+
+  const messagesById = new Map(messages.map((message) => [message.id, message]));
+
+  const getSenderLabel = (senderId) =>
+    senderId === currentUserId ? 'You' : userNames[senderId] || `User ${senderId}`;
+
+  const handleJumpToMessage = async (messageId) => {
+    const conversationKey = conversation.key;
+    const found = await onJumpToMessage(messageId);
+    if (found) {
+      setJumpNotice(null);
+      setJumpRequest(createFocusRequest(conversationKey, messageId));
+    } else {
+      setJumpNotice({ text: 'The original message is no longer available' });
+    }
+  };
+
+  const displayedMessages = [
+    ...messages,
+    ...queuedMessages.map((item) => toOptimisticMessage(item, currentUserId)),
+  ];
+
+  // Paging markers scroll with the messages, so they are rows too
+  const rows = [];
+  if (loadingOlder) {
+    rows.push({ type: 'marker', key: 'loading-older', text: 'Loading older messages...' });
+  } else if (!hasMore && !loading && messages.length > 0) {
+    rows.push({ type: 'marker', key: 'beginning', text: 'Beginning of conversation' });
+  }
+  rows.push(...displayedMessages);
+
+  const renderRow = (row) => {
+    if (row.type === 'marker') {
+      return <p style={styles.historyMarker}>{row.text}</p>;
+    }
+
+    // The loaded original reflects later edits and deletion; the snapshot covers unloaded history
+    const quoted = row.replyToId ? messagesById.get(row.replyToId) || row.replyTo : null;
+    return (
+      <MessageBubble
+        message={row}
+        isSent={row.senderId === currentUserId}
+        highlighted={row.id === activeFocus?.messageId}
+        quote={
+          row.replyToId
+            ? {
+                senderName: quoted ? getSenderLabel(quoted.senderId) : null,
+                text: quoted ? getMessagePreviewText(quoted) : 'Original message',
+              }
+            : null
+        }
+        onJumpToQuote={onJumpToMessage ? () => handleJumpToMessage(row.replyToId) : undefined}
+        onReply={onReply}
+        onReact={onReact}
+        currentUserId={currentUserId}
+        getUserLabel={getSenderLabel}
+        uploadProgress={uploadProgress[row.clientMessageId]}
+        pendingChange={pendingChanges[row.id]}
+        onEdit={onEditMessage}
+        onDelete={onDeleteMessage}
+        onOpenImage={setLightboxAttachment}
+        senderName={isGroup && row.senderId !== currentUserId ? userNames[row.senderId] || `User ${row.senderId}` : null}
+        trackSeen={trackSeen}
+        onRetry={onRetryMessage}
+        onDiscard={onDiscardMessage}
+      />
+    );
+  };
+
   return (
     <div style={styles.container}>
       <div style={styles.header}>
-        <div style={styles.avatar}>{selectedUser.username.charAt(0).toUpperCase()}</div>
-        <div>
-          <h3 style={styles.username}>{selectedUser.username}</h3>
-          <p style={styles.status}>Online</p>
+        <div style={{ ...styles.avatar, ...(isGroup ? styles.groupAvatar : {}) }}>
+          {conversation.title.charAt(0).toUpperCase()}
+        </div>
+        <div style={styles.headerText}>
+          <h3 style={styles.username}>{conversation.title}</h3>
+          {isGroup ? (
+            <p style={{ ...styles.status, ...styles.statusOffline, ...styles.memberSummary }} title={groupMemberText}>
+              {groupMemberText}
+            </p>
+          ) : (
+            <p style={{ ...styles.status, ...(presence?.isOnline ? {} : styles.statusOffline) }}>
+              {getPresenceText(presence)}
+            </p>
+          )}
+        </div>
+        <div style={styles.headerActions}>
+          {onToggleMute && (
+            <button
+              onClick={onToggleMute}
+              style={{ ...styles.headerButton, ...(isMuted ? styles.muteButtonActive : {}) }}
+              title={isMuted ? 'Notifications from this conversation are muted' : 'Mute notifications from this conversation'}
+            >
+              {isMuted ? 'Unmute' : 'Mute'}
+            </button>
+          )}
+          {isGroup && onManageGroup && (
+            <button onClick={onManageGroup} style={styles.headerButton}>
+              Group settings
+            </button>
+          )}
+          {!isGroup && onShowEncryption && (
+            <button
+              onClick={onShowEncryption}
+              style={{ ...styles.headerButton, ...(isEncrypted ? styles.encryptedButton : {}) }}
+              title={
+                isEncrypted
+                  ? 'New messages are end-to-end encrypted. Check fingerprints or turn it off.'
+                  : 'Turn on end-to-end encryption'
+              }
+            >
+              {isEncrypted ? '\u{1F512} Encrypted' : 'Encryption'}
+            </button>
+          )}
+          {onExport && (
+            <button onClick={onExport} style={styles.headerButton} title="Save this conversation as a file">
+              Export
+            </button>
+          )}
         </div>
       </div>
       
-      <div style={styles.messagesContainer}>
-        {messages.length === 0 ? (
-          <p style={styles.noMessages}>No messages yet. Start the conversation!</p>
-        ) : (
-          messages.map((message) => {
-            const isSent = message.senderId === currentUserId;
-            return (
-              <div
-                key={message.id}
-                style={{
-                  ...styles.messageWrapper,
-                  justifyContent: isSent ? 'flex-end' : 'flex-start',
-                }}
+      {isEncrypted && keyConflict && (
+        <div style={styles.keyWarning}>
+          Your account&rsquo;s published encryption key is from another browser, so encrypted messages sent to you
+          can only be read there.{' '}
+          <button onClick={onShowEncryption} style={styles.keyWarningButton}>
+            Review
+          </button>
+        </div>
+      )}
+
+      {displayedMessages.length === 0 ? (
+        <div style={styles.messagesContainer}>
+          <p style={styles.noMessages}>
+            {loading ? 'Loading conversation...' : 'No messages yet. Start the conversation!'}
+          </p>
+        </div>
+      ) : (
+        <VirtualList
+          items={rows}
+          getKey={getRowKey}
+          renderItem={renderRow}
+          resetKey={conversation.key}
+          // Always jump to a message the user just sent, even when scrolled up
+          shouldFollow={(row) => row.senderId === currentUserId}
+          onReachTop={hasMore && !loadingOlder ? onLoadOlder : undefined}
+          scrollTo={scrollTo}
+          style={styles.messagesContainer}
+        />
+      )}
+
+      {jumpNotice && <div style={styles.jumpNotice}>{jumpNotice.text}</div>}
+
+      {typingNames.length > 0 && (
+        <div style={styles.typingIndicator}>{getTypingText(typingNames)}</div>
+      )}
+
+      {lightboxAttachment && (
+        <ImageLightbox attachment={lightboxAttachment} onClose={() => setLightboxAttachment(null)} />
+      )}
+    </div>
+  );
+}
+
+const CHANGE_STATUS_LABELS = {
+  edit: { pending: 'Saving edit...', sending: 'Saving edit...', failed: 'Edit failed' },
+  delete: { pending: 'Deleting...', sending: 'Deleting...', failed: 'Delete failed' },
+};
+
+function MessageBubble({
+  message,
+  isSent,
+  senderName,
+  highlighted,
+  quote,
+  onJumpToQuote,
+  onReply,
+  onReact,
+  currentUserId,
+  getUserLabel,
+  uploadProgress,
+  pendingChange,
+  onOpenImage,
+  trackSeen,
+  onRetry,
+  onDiscard,
+  onEdit,
+  onDelete,
+}) {
+  const [hovered, setHovered] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const deliveryStatus = getDeliveryStatus(message, isSent);
+  const isQueued = deliveryStatus === 'pending' || deliveryStatus === 'failed';
+  // Received messages report a read receipt once they have been on screen
+  const needsReceipt = !isSent && !message.readAt && !message.isRead;
+
+  // A queued change is shown before the server confirms it
+  const isDeleted = !!message.deletedAt || pendingChange?.kind === 'delete';
+  const content = pendingChange?.kind === 'edit' ? pendingChange.content : message.content;
+  const isEdited = !!message.editedAt || pendingChange?.kind === 'edit';
+  // Only server-confirmed messages can be changed
+  const canChange = isSent && !message.deliveryStatus && !isDeleted && !message.decryptFailed && !!onEdit;
+  const canReply = !message.deliveryStatus && !isDeleted && !!onReply;
+  const canReact = !message.deliveryStatus && !isDeleted && !!onReact;
+  const reactions = isDeleted ? [] : message.reactions || [];
+
+  const handleDelete = () => {
+    if (window.confirm('Delete this message for everyone?')) {
+      onDelete(message.id);
+    }
+  };
+
+  const handleSaveEdit = (text) => {
+    setEditing(false);
+    if (text !== content) onEdit(message.id, text);
+  };
+
+  const actions = (canReact || canReply || canChange) && !editing && (
+    <div
+      style={{
+        ...styles.messageActions,
+        ...(isSent ? {} : styles.messageActionsReceived),
+        ...(hovered ? {} : styles.messageActionsHidden),
+      }}
+    >
+      {canReact &&
+        QUICK_REACTIONS.map((emoji) => (
+          <button
+            key={emoji}
+            onClick={() => onReact(message, emoji)}
+            style={{
+              ...styles.reactionOption,
+              ...(hasReacted(reactions, emoji, currentUserId) ? styles.reactionOptionActive : {}),
+            }}
+            title={hasReacted(reactions, emoji, currentUserId) ? 'Remove reaction' : 'React'}
+          >
+            {emoji}
+          </button>
+        ))}
+      {canReply && (
+        <button onClick={() => onReply(message)} style={styles.messageAction} title="Reply to message">
+          Reply
+        </button>
+      )}
+      {canChange && (
+        <>
+          <button onClick={() => setEditing(true)} style={styles.messageAction} title="Edit message">
+            Edit
+          </button>
+          <button onClick={handleDelete} style={styles.messageAction} title="Delete for everyone">
+            Delete
+          </button>
+        </>
+      )}
+    </div>
+  );
+
+  if (isDeleted) {
+    return (
+      <div
+        ref={needsReceipt ? trackSeen(message.id) : undefined}
+        style={{ ...styles.messageWrapper, justifyContent: isSent ? 'flex-end' : 'flex-start' }}
+      >
+        <div
+          style={{
+            ...styles.messageBubble,
+            ...styles.deletedMessage,
+            ...(highlighted ? styles.highlightedMessage : {}),
+          }}
+        >
+          {senderName && <div style={styles.senderName}>{senderName}</div>}
+          <span>This message was deleted</span>
+          <span style={styles.timestamp}>
+            {' \u00b7 '}
+            {formatTime(message.timestamp)}
+            {pendingChange && ` \u00b7 ${CHANGE_STATUS_LABELS.delete[pendingChange.status] || ''}`}
+          </span>
+          {pendingChange?.status === 'failed' && (
+            <ChangeActions change={pendingChange} onRetry={onRetry} onDiscard={onDiscard} />
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={needsReceipt ? trackSeen(message.id) : undefined}
+      style={{
+        ...styles.messageWrapper,
+        justifyContent: isSent ? 'flex-end' : 'flex-start',
+      }}
+      onMouseEnter={() => setHovered(true)}
+      onMouseLeave={() => setHovered(false)}
+      onFocus={() => setHovered(true)}
+      onBlur={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setHovered(false);
+      }}
+    >
+      {isSent && actions}
+      <div style={{ ...styles.bubbleColumn, alignItems: isSent ? 'flex-end' : 'flex-start' }}>
+        <div
+          style={{
+            ...styles.messageBubble,
+            ...styles.columnBubble,
+            ...(isSent ? styles.sentMessage : styles.receivedMessage),
+            ...(deliveryStatus === 'pending' || deliveryStatus === 'sending' ? styles.pendingMessage : {}),
+            ...(deliveryStatus === 'failed' ? styles.failedMessage : {}),
+            ...(highlighted ? styles.highlightedMessage : {}),
+          }}
+        >
+          {senderName && <div style={styles.senderName}>{senderName}</div>}
+          {quote && (
+            <button
+              onClick={onJumpToQuote}
+              disabled={!onJumpToQuote}
+              style={{ ...styles.quote, ...(isSent ? styles.quoteSent : {}) }}
+              title="Show original message"
+            >
+              {quote.senderName && <span style={styles.quoteSender}>{quote.senderName}</span>}
+              <span style={styles.quoteText}>{quote.text}</span>
+            </button>
+          )}
+          {message.attachments?.length > 0 && (
+            <MessageAttachments attachments={message.attachments} isSent={isSent} onOpenImage={onOpenImage} />
+          )}
+          {editing ? (
+            <MessageEditor
+              initialText={content || ''}
+              allowEmpty={message.attachments?.length > 0}
+              onSave={handleSaveEdit}
+              onCancel={() => setEditing(false)}
+            />
+          ) : message.decryptFailed ? (
+            <span style={styles.undecryptable}>{'\u{1F512}'} This message can't be decrypted in this browser</span>
+          ) : (
+            content && <FormattedMessage text={content} isSent={isSent} style={styles.messageContent} />
+          )}
+          <span
+            style={{ ...styles.timestamp, ...(deliveryStatus === 'seen' ? styles.seenStatus : {}) }}
+            title={message.lastError || pendingChange?.lastError || undefined}
+          >
+            {message.encrypted && !message.decryptFailed && (
+              <span
+                title={
+                  message.keyMismatch
+                    ? `Not sent with ${getUserLabel(message.senderId)}'s current key. Check the fingerprints.`
+                    : 'End-to-end encrypted'
+                }
+                aria-label={message.keyMismatch ? 'Encrypted with an unexpected key' : 'End-to-end encrypted'}
               >
-                <div
-                  style={{
-                    ...styles.messageBubble,
-                    ...(isSent ? styles.sentMessage : styles.receivedMessage),
-                  }}
+                {message.keyMismatch ? '\u26a0\ufe0f ' : '\u{1F512} '}
+              </span>
+            )}
+            {isEdited && 'edited \u00b7 '}
+            {formatTime(message.timestamp)}
+            {pendingChange && ` \u00b7 ${CHANGE_STATUS_LABELS.edit[pendingChange.status] || ''}`}
+            {message.uploading
+              ? ` \u00b7 Uploading${uploadProgress !== undefined ? ` ${Math.round(uploadProgress * 100)}%` : '...'}`
+              : deliveryStatus && ` \u00b7 ${DELIVERY_STATUS_LABELS[deliveryStatus]}`}
+            {deliveryStatus === 'pending' && message.attempts > 0 && ` (attempt ${message.attempts + 1})`}
+          </span>
+          {message.uploading && (
+            <div style={styles.queuedActions}>
+              <button onClick={() => onDiscard(message.clientMessageId)} style={styles.queuedAction}>
+                Cancel
+              </button>
+            </div>
+          )}
+          {isQueued && (
+            <div style={styles.queuedActions}>
+              <button onClick={() => onRetry(message.clientMessageId)} style={styles.queuedAction}>
+                Retry
+              </button>
+              <button onClick={() => onDiscard(message.clientMessageId)} style={styles.queuedAction}>
+                Discard
+              </button>
+            </div>
+          )}
+          {pendingChange?.status === 'failed' && (
+            <ChangeActions change={pendingChange} onRetry={onRetry} onDiscard={onDiscard} />
+          )}
+        </div>
+        {reactions.length > 0 && (
+          <div style={styles.reactions}>
+            {reactions.map(({ emoji, userIds }) => {
+              const reacted = userIds.includes(currentUserId);
+              return (
+                <button
+                  key={emoji}
+                  onClick={() => onReact?.(message, emoji)}
+                  disabled={!canReact}
+                  style={{ ...styles.reactionChip, ...(reacted ? styles.reactionChipActive : {}) }}
+                  title={userIds.map(getUserLabel).join(', ')}
+                  aria-pressed={reacted}
                 >
-                  <p style={styles.messageContent}>{message.content}</p>
-                  <span style={styles.timestamp}>
-                    {new Date(message.timestamp).toLocaleTimeString([], {
-                      hour: '2-digit',
-                      minute: '2-digit',
-                    })}
-                  </span>
-                </div>
-              </div>
-            );
-          })
+                  {emoji} {userIds.length}
+                </button>
+              );
+            })}
+          </div>
         )}
-        <div ref={messagesEndRef} />
+      </div>
+      {!isSent && actions}
+    </div>
+  );
+}
+
+// Retry or give up a queued edit or delete that failed
+function ChangeActions({ change, onRetry, onDiscard }) {
+  return (
+    <div style={styles.queuedActions}>
+      <button onClick={() => onRetry(change.id)} style={styles.queuedAction}>
+        Retry
+      </button>
+      <button onClick={() => onDiscard(change.id)} style={styles.queuedAction}>
+        Discard
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Inline editor for a sent message: Enter saves, Shift+Enter adds a line,
+ * Escape cancels.
+ */
+function MessageEditor({ initialText, allowEmpty, onSave, onCancel }) {
+  const [text, setText] = useState(initialText);
+  const trimmed = text.trim();
+  const canSave = trimmed !== '' || allowEmpty;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+      e.preventDefault();
+      if (canSave) onSave(trimmed);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onCancel();
+    }
+  };
+
+  return (
+    <div style={styles.editor}>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={handleKeyDown}
+        rows={Math.min(Math.max(text.split('\n').length, 2), 8)}
+        autoFocus
+        style={styles.editorInput}
+        aria-label="Edit message"
+      />
+      <div style={styles.queuedActions}>
+        <button onClick={() => onSave(trimmed)} disabled={!canSave} style={styles.queuedAction}>
+          Save
+        </button>
+        <button onClick={onCancel} style={styles.queuedAction}>
+          Cancel
+        </button>
       </div>
     </div>
   );
@@ -97,6 +683,44 @@ const styles = {
     marginRight: '12px',
     fontSize: '18px',
   },
+  groupAvatar: {
+    backgroundColor: '#7e57c2',
+    borderRadius: '12px',
+  },
+  headerText: {
+    minWidth: 0,
+  },
+  memberSummary: {
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+  },
+  headerActions: {
+    display: 'flex',
+    gap: '8px',
+    marginLeft: 'auto',
+    paddingLeft: '12px',
+    flexShrink: 0,
+  },
+  headerButton: {
+    padding: '6px 12px',
+    backgroundColor: '#fff',
+    color: '#666',
+    border: '1px solid #e0e0e0',
+    borderRadius: '6px',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+  muteButtonActive: {
+    backgroundColor: '#fff3e0',
+    color: '#e65100',
+    borderColor: '#ffcc80',
+  },
+  encryptedButton: {
+    backgroundColor: '#e8f5e9',
+    color: '#2e7d32',
+    borderColor: '#a5d6a7',
+  },
   username: {
     margin: '0 0 4px 0',
     fontSize: '16px',
@@ -104,19 +728,23 @@ const styles = {
   },
   status: {
     margin: 0,
+    minHeight: '16px',
     fontSize: '13px',
     color: '#4caf50',
   },
+  statusOffline: {
+    color: '#999',
+  },
   messagesContainer: {
     flex: 1,
     overflowY: 'auto',
     minHeight: 0,
-    padding: '20px',
+    padding: '0 20px',
     backgroundColor: '#f5f5f5',
   },
   messageWrapper: {
     display: 'flex',
-    marginBottom: '12px',
+    margin: '6px 0',
   },
   messageBubble: {
     maxWidth: '60%',
@@ -135,6 +763,153 @@ const styles = {
     border: '1px solid #e0e0e0',
     borderBottomLeftRadius: '4px',
   },
+  pendingMessage: {
+    opacity: 0.75,
+  },
+  failedMessage: {
+    backgroundColor: '#e57373',
+    opacity: 1,
+  },
+  highlightedMessage: {
+    boxShadow: '0 0 0 3px #ffca28',
+    transition: 'box-shadow 0.3s',
+  },
+  deletedMessage: {
+    backgroundColor: 'transparent',
+    color: '#999',
+    border: '1px dashed #ccc',
+    fontSize: '13px',
+    fontStyle: 'italic',
+  },
+  messageActions: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+    marginRight: '6px',
+  },
+  bubbleColumn: {
+    display: 'flex',
+    flexDirection: 'column',
+    maxWidth: '60%',
+    minWidth: 0,
+  },
+  columnBubble: {
+    maxWidth: '100%',
+    boxSizing: 'border-box',
+  },
+  reactions: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '4px',
+    marginTop: '4px',
+  },
+  reactionChip: {
+    padding: '1px 8px',
+    backgroundColor: '#fff',
+    color: '#444',
+    border: '1px solid #e0e0e0',
+    borderRadius: '12px',
+    fontSize: '12px',
+    cursor: 'pointer',
+  },
+  reactionChipActive: {
+    backgroundColor: '#e3f2fd',
+    borderColor: '#90caf9',
+    color: '#1565c0',
+  },
+  reactionOption: {
+    padding: '0 3px',
+    backgroundColor: 'transparent',
+    border: '1px solid transparent',
+    borderRadius: '10px',
+    fontSize: '15px',
+    lineHeight: 1.3,
+    cursor: 'pointer',
+  },
+  reactionOptionActive: {
+    backgroundColor: '#e3f2fd',
+    borderColor: '#90caf9',
+  },
+  messageActionsReceived: {
+    marginRight: 0,
+    marginLeft: '6px',
+  },
+  messageActionsHidden: {
+    // Stay focusable for keyboard users; only hidden from view
+    opacity: 0,
+  },
+  messageAction: {
+    padding: '2px 8px',
+    backgroundColor: '#fff',
+    color: '#666',
+    border: '1px solid #e0e0e0',
+    borderRadius: '10px',
+    fontSize: '11px',
+    cursor: 'pointer',
+  },
+  editor: {
+    minWidth: '220px',
+  },
+  editorInput: {
+    width: '100%',
+    padding: '6px 8px',
+    border: 'none',
+    borderRadius: '6px',
+    fontFamily: 'inherit',
+    fontSize: '14px',
+    lineHeight: '1.4',
+    resize: 'none',
+    boxSizing: 'border-box',
+  },
+  queuedActions: {
+    display: 'flex',
+    gap: '8px',
+    marginTop: '6px',
+  },
+  queuedAction: {
+    padding: '2px 10px',
+    backgroundColor: 'rgba(255, 255, 255, 0.25)',
+    color: '#fff',
+    border: '1px solid rgba(255, 255, 255, 0.5)',
+    borderRadius: '10px',
+    fontSize: '11px',
+    cursor: 'pointer',
+  },
+  quote: {
+    display: 'flex',
+    flexDirection: 'column',
+    width: '100%',
+    margin: '0 0 6px 0',
+    padding: '4px 8px',
+    backgroundColor: 'rgba(0, 0, 0, 0.05)',
+    color: 'inherit',
+    border: 'none',
+    borderLeft: '3px solid #2196f3',
+    borderRadius: '4px',
+    fontFamily: 'inherit',
+    fontSize: '12px',
+    textAlign: 'left',
+    cursor: 'pointer',
+  },
+  quoteSent: {
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    borderLeftColor: '#fff',
+  },
+  quoteSender: {
+    fontWeight: '600',
+  },
+  quoteText: {
+    opacity: 0.85,
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+  },
+  senderName: {
+    marginBottom: '2px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#7e57c2',
+  },
   messageContent: {
     margin: '0 0 4px 0',
     fontSize: '14px',
@@ -144,6 +919,14 @@ const styles = {
     fontSize: '11px',
     opacity: 0.7,
   },
+  seenStatus: {
+    opacity: 1,
+  },
+  undecryptable: {
+    fontSize: '13px',
+    fontStyle: 'italic',
+    opacity: 0.8,
+  },
   emptyState: {
     flex: 1,
     display: 'flex',
@@ -152,6 +935,42 @@ const styles = {
     justifyContent: 'center',
     color: '#999',
   },
+  keyWarning: {
+    padding: '8px 20px',
+    fontSize: '13px',
+    color: '#e65100',
+    backgroundColor: '#fff3e0',
+    borderBottom: '1px solid #ffe0b2',
+  },
+  keyWarningButton: {
+    padding: 0,
+    border: 'none',
+    background: 'none',
+    color: '#e65100',
+    fontSize: '13px',
+    fontWeight: '600',
+    textDecoration: 'underline',
+    cursor: 'pointer',
+  },
+  jumpNotice: {
+    padding: '6px 20px',
+    fontSize: '12px',
+    color: '#e65100',
+    backgroundColor: '#fff3e0',
+  },
+  typingIndicator: {
+    padding: '4px 20px 8px',
+    fontSize: '12px',
+    fontStyle: 'italic',
+    color: '#777',
+    backgroundColor: '#f5f5f5',
+  },
+  historyMarker: {
+    textAlign: 'center',
+    color: '#999',
+    fontSize: '12px',
+    padding: '16px 0 8px',
+  },
   noMessages: {
     textAlign: 'center',
     color: '#999',
@@ -0,0 +1,74 @@
+/**
+ * ConfigErrorScreen is rendered instead of the app when endpoint
+ * configuration cannot be resolved, listing what needs fixing.
+ */
+export default function ConfigErrorScreen({ error }) {
+  const problems = error?.problems || [];
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <h1 style={styles.title}>Configuration Error</h1>
+        <p style={styles.message}>{error?.message || 'The application could not be configured.'}</p>
+
+        {problems.length > 0 && (
+          <ul style={styles.problems}>
+            {problems.map((problem) => (
+              <li key={problem} style={styles.problem}>{problem}</li>
+            ))}
+          </ul>
+        )}
+
+        <p style={styles.hint}>
+          Check <code>VITE_API_BASE_URL</code> / <code>VITE_HUB_URL</code> in your <code>.env</code> file
+          or the deployed <code>config.json</code>, then reload the page.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+  card: {
+    backgroundColor: '#fff',
+    padding: '40px',
+    borderRadius: '12px',
+    boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+    width: '100%',
+    maxWidth: '560px',
+  },
+  title: {
+    color: '#c62828',
+    marginBottom: '16px',
+    fontSize: '24px',
+  },
+  message: {
+    fontSize: '15px',
+    color: '#333',
+    marginBottom: '16px',
+  },
+  problems: {
+    padding: '12px 12px 12px 32px',
+    backgroundColor: '#ffebee',
+    color: '#c62828',
+    borderRadius: '8px',
+    marginBottom: '16px',
+    fontSize: '14px',
+  },
+  problem: {
+    marginBottom: '4px',
+    wordBreak: 'break-all',
+  },
+  hint: {
+    fontSize: '13px',
+    color: '#666',
+    lineHeight: '1.5',
+  },
+};
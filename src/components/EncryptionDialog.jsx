@@ -0,0 +1,293 @@
+import { useEffect, useState } from 'react';
+import { encryptionService, formatFingerprint, KEY_STATUS } from '../services/encryptionService';
+
+/**
+ * EncryptionDialog turns end-to-end encryption of a direct conversation on
+ * or off, and shows both users' key fingerprints to compare over another
+ * channel (in person, a call). A matching key can be marked as verified;
+ * if the contact's key changes later, the dialog says so.
+ * When another browser's key is the user's published one (`keyStatus`),
+ * it warns and offers to publish this browser's key instead.
+ * `settings` are the encryption settings (encryptionService.getSettings()).
+ */
+export default function EncryptionDialog({ conversation, settings, keyStatus, onClose }) {
+  const [ownKey, setOwnKey] = useState(null); // { fingerprint } or { error }
+  const [contactKey, setContactKey] = useState(null); // { key } (null if none published) or { error }
+  const [replacing, setReplacing] = useState(false);
+  const [replaceError, setReplaceError] = useState('');
+  const name = conversation.title;
+  const userId = conversation.id;
+
+  useEffect(() => {
+    let cancelled = false;
+    encryptionService.getKeys().then(
+      ({ fingerprint }) => !cancelled && setOwnKey({ fingerprint }),
+      (error) => !cancelled && setOwnKey({ error: error.message || 'Your key could not be loaded.' })
+    );
+    // Always the current key, not a cached one
+    encryptionService.getPublicKey(userId, { refresh: true }).then(
+      (key) => !cancelled && setContactKey({ key }),
+      () => !cancelled && setContactKey({ error: `${name}'s key could not be loaded. Check your connection.` })
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, name]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleReplaceKey = async () => {
+    const confirmed = window.confirm(
+      "Use this browser's key for your account? Encrypted messages sent to your other browser stay readable only there."
+    );
+    if (!confirmed) return;
+
+    setReplacing(true);
+    setReplaceError('');
+    try {
+      await encryptionService.replacePublishedKey();
+    } catch (error) {
+      console.error('Failed to publish encryption key:', error);
+      setReplaceError('Your key could not be published. Check your connection and try again.');
+    } finally {
+      setReplacing(false);
+    }
+  };
+
+  const enabled = settings.encryptedUserIds.includes(userId);
+  const fingerprint = contactKey?.key?.fingerprint;
+  const verifiedFingerprint = settings.verifiedKeys[userId];
+  const verified = !!fingerprint && fingerprint === verifiedFingerprint;
+  const keyChanged = !!fingerprint && !!verifiedFingerprint && fingerprint !== verifiedFingerprint;
+
+  let contactText = 'Loading...';
+  if (contactKey?.error) {
+    contactText = contactKey.error;
+  } else if (contactKey && !contactKey.key) {
+    contactText = `${name} has not set up encryption yet (it is set up when they next sign in).`;
+  }
+
+  return (
+    <div style={styles.overlay} role="dialog" aria-modal="true" aria-labelledby="encryption-dialog-title">
+      <div style={styles.card}>
+        <div style={styles.header}>
+          <h2 id="encryption-dialog-title" style={styles.title}>
+            Encryption with {name}
+          </h2>
+          <button onClick={onClose} style={styles.closeButton} aria-label="Close">
+            &times;
+          </button>
+        </div>
+
+        <label style={styles.toggle}>
+          <input
+            type="checkbox"
+            checked={enabled}
+            // Turning it off is always possible
+            disabled={!enabled && !fingerprint}
+            onChange={(e) => encryptionService.setEncryptionEnabled(userId, e.target.checked)}
+          />
+          Encrypt new messages to {name}
+        </label>
+        <p style={styles.hint}>
+          Encrypted messages can only be read by you and {name}, in the browsers you each signed in with; not
+          even the server can read them. Attachments, reactions and who you talk to are not encrypted.
+        </p>
+
+        <div style={styles.section}>
+          <span style={styles.label}>Your key</span>
+          {ownKey?.error ? (
+            <p style={styles.error}>{ownKey.error}</p>
+          ) : (
+            <code style={styles.fingerprint}>{ownKey ? formatFingerprint(ownKey.fingerprint) : 'Loading...'}</code>
+          )}
+        </div>
+
+        {keyStatus === KEY_STATUS.CONFLICT && (
+          <>
+            <p style={styles.warning}>
+              Your account&rsquo;s published key is from another browser, so messages encrypted to you can only be
+              read there. Only one browser at a time can read new encrypted messages.
+            </p>
+            {replaceError && <p style={styles.replaceError}>{replaceError}</p>}
+            <button onClick={handleReplaceKey} disabled={replacing} style={styles.secondaryButton}>
+              {replacing ? 'Publishing...' : "Use this browser's key instead"}
+            </button>
+          </>
+        )}
+
+        <div style={styles.section}>
+          <span style={styles.label}>
+            {name}&rsquo;s key {verified && <span style={styles.verified}>&#10003; Verified</span>}
+          </span>
+          {fingerprint ? (
+            <code style={styles.fingerprint}>{formatFingerprint(fingerprint)}</code>
+          ) : (
+            <p style={contactKey?.error ? styles.error : styles.hint}>{contactText}</p>
+          )}
+        </div>
+
+        {keyChanged && (
+          <p style={styles.warning}>
+            {name}&rsquo;s key has changed since you verified it. They may have signed in from another browser;
+            compare the fingerprints again.
+          </p>
+        )}
+
+        {fingerprint && (
+          <>
+            <p style={styles.hint}>
+              Compare both fingerprints with {name} in person or over a call. If they match, nobody can read your
+              encrypted messages in between.
+            </p>
+            <button
+              onClick={() => encryptionService.setVerifiedKey(userId, verified ? null : fingerprint)}
+              style={verified ? styles.secondaryButton : styles.button}
+            >
+              {verified ? 'Remove verification' : 'Mark as verified'}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  overlay: {
+    position: 'fixed',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    zIndex: 1000,
+  },
+  card: {
+    backgroundColor: '#fff',
+    padding: '24px',
+    borderRadius: '12px',
+    boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+    width: '100%',
+    maxWidth: '440px',
+    maxHeight: '90vh',
+    overflowY: 'auto',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '12px',
+    marginBottom: '16px',
+  },
+  title: {
+    margin: 0,
+    color: '#333',
+    fontSize: '20px',
+    fontWeight: '600',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  closeButton: {
+    border: 'none',
+    background: 'none',
+    fontSize: '22px',
+    lineHeight: 1,
+    color: '#999',
+    cursor: 'pointer',
+  },
+  toggle: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    fontSize: '15px',
+    fontWeight: '600',
+    color: '#333',
+    cursor: 'pointer',
+  },
+  section: {
+    display: 'flex',
+    flexDirection: 'column',
+    marginTop: '16px',
+  },
+  label: {
+    marginBottom: '6px',
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#666',
+  },
+  fingerprint: {
+    padding: '8px 10px',
+    backgroundColor: '#f5f5f5',
+    borderRadius: '6px',
+    fontSize: '13px',
+    lineHeight: '1.6',
+    letterSpacing: '0.5px',
+    wordSpacing: '4px',
+    color: '#333',
+  },
+  verified: {
+    marginLeft: '6px',
+    color: '#2e7d32',
+  },
+  hint: {
+    margin: '8px 0 0',
+    fontSize: '13px',
+    color: '#777',
+  },
+  warning: {
+    marginTop: '16px',
+    marginBottom: 0,
+    padding: '12px',
+    backgroundColor: '#fff3e0',
+    color: '#e65100',
+    borderRadius: '8px',
+    fontSize: '14px',
+  },
+  replaceError: {
+    margin: '12px 0 0',
+    padding: '12px',
+    backgroundColor: '#ffebee',
+    color: '#c62828',
+    borderRadius: '8px',
+    fontSize: '14px',
+  },
+  error: {
+    margin: 0,
+    padding: '12px',
+    backgroundColor: '#ffebee',
+    color: '#c62828',
+    borderRadius: '8px',
+    fontSize: '14px',
+  },
+  button: {
+    width: '100%',
+    marginTop: '16px',
+    padding: '12px',
+    backgroundColor: '#2196f3',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '15px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  secondaryButton: {
+    width: '100%',
+    marginTop: '16px',
+    padding: '12px',
+    backgroundColor: '#fff',
+    color: '#666',
+    border: '1px solid #e0e0e0',
+    borderRadius: '8px',
+    fontSize: '15px',
+    cursor: 'pointer',
+  },
+};
@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import { configService } from '../services/configService';
+import { authService } from '../services/authService';
+
+/**
+ * EnvironmentPicker lets developers point a non-production build at another backend.
+ * Renders nothing when picking is disabled or only one environment is configured.
+ */
+export default function EnvironmentPicker() {
+  const [selected, setSelected] = useState(() => configService.getActiveEnvironment().name);
+
+  if (!configService.canSelectEnvironment()) {
+    return null;
+  }
+
+  const handleChange = (e) => {
+    const name = e.target.value;
+    configService.selectEnvironment(name);
+    // Credentials issued by one backend are not valid on another
+    authService.logout();
+    setSelected(name);
+  };
+
+  const active = configService.getEnvironments().find((e) => e.name === selected);
+
+  return (
+    <div style={styles.container}>
+      <label style={styles.label}>Environment</label>
+      <select value={selected} onChange={handleChange} style={styles.select}>
+        {configService.getEnvironments().map((environment) => (
+          <option key={environment.name} value={environment.name}>
+            {environment.name}
+          </option>
+        ))}
+      </select>
+      {active && <p style={styles.url}>{active.apiBaseUrl}</p>}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    marginBottom: '24px',
+    padding: '12px',
+    backgroundColor: '#fff8e1',
+    border: '1px dashed #ffb300',
+    borderRadius: '8px',
+  },
+  label: {
+    display: 'block',
+    marginBottom: '6px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#8d6e00',
+    textTransform: 'uppercase',
+  },
+  select: {
+    width: '100%',
+    padding: '8px 12px',
+    border: '1px solid #e0e0e0',
+    borderRadius: '6px',
+    fontSize: '14px',
+    backgroundColor: '#fff',
+  },
+  url: {
+    marginTop: '6px',
+    fontSize: '12px',
+    color: '#666',
+    wordBreak: 'break-all',
+  },
+};
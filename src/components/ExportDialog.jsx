@@ -0,0 +1,237 @@
+import { useEffect, useRef, useState } from 'react';
+import { archiveService, EXPORT_FORMATS } from '../services/archiveService';
+import { chatService } from '../services/chatService';
+import { downloadFile } from '../utils/download';
+
+/**
+ * ExportDialog saves a conversation as a file: JSON (which can be opened
+ * again with "Open archive"), Markdown or a standalone HTML page, for an
+ * optional date range. History is loaded from the server page by page, so
+ * the export is not limited to what has been scrolled into view.
+ */
+export default function ExportDialog({ conversation, currentUser, userNames = {}, onClose }) {
+  const [format, setFormat] = useState('json');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [progress, setProgress] = useState(null); // messages loaded while exporting
+  const [error, setError] = useState('');
+  const cancelledRef = useRef(false);
+
+  // Closing the dialog stops paging through history
+  useEffect(() => {
+    cancelledRef.current = false;
+    return () => {
+      cancelledRef.current = true;
+    };
+  }, []);
+
+  const busy = progress !== null;
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    // Date inputs are local days; the range includes both of them
+    const fromDate = from ? new Date(`${from}T00:00:00`) : null;
+    const toDate = to ? new Date(`${to}T23:59:59.999`) : null;
+    if (fromDate && toDate && fromDate > toDate) {
+      setError('The start date is after the end date.');
+      return;
+    }
+    if (!chatService.isConnected()) {
+      setError('Exporting needs a connection: the history is loaded from the server.');
+      return;
+    }
+
+    setError('');
+    setProgress(0);
+    try {
+      const messages = await archiveService.collectMessages(conversation.key, {
+        from: fromDate,
+        to: toDate,
+        onProgress: setProgress,
+        isCancelled: () => cancelledRef.current,
+      });
+      if (!messages) return;
+
+      const archive = archiveService.createArchive({
+        conversation,
+        messages,
+        participants: { ...userNames, [currentUser.userId]: currentUser.username },
+        exportedBy: { userId: currentUser.userId, username: currentUser.username },
+        from: fromDate,
+        to: toDate,
+      });
+      downloadFile(
+        archiveService.getFileName(archive, format),
+        archiveService.serialize(archive, format),
+        EXPORT_FORMATS[format].type
+      );
+      onClose();
+    } catch (err) {
+      if (cancelledRef.current) return;
+      setError(err.message || 'The export failed. Please try again.');
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div style={styles.overlay} role="dialog" aria-modal="true" aria-labelledby="export-dialog-title">
+      <form onSubmit={handleExport} style={styles.card}>
+        <div style={styles.header}>
+          <h2 id="export-dialog-title" style={styles.title}>
+            Export &ldquo;{conversation.title}&rdquo;
+          </h2>
+          <button type="button" onClick={onClose} style={styles.closeButton} aria-label="Close">
+            &times;
+          </button>
+        </div>
+
+        <div style={styles.section}>
+          <label style={styles.label}>Format</label>
+          {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+            <label key={value} style={styles.option}>
+              <input
+                type="radio"
+                name="format"
+                value={value}
+                checked={format === value}
+                onChange={() => setFormat(value)}
+                disabled={busy}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        <div style={styles.section}>
+          <label style={styles.label}>Date range (leave empty for all messages)</label>
+          <div style={styles.inline}>
+            <input
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              disabled={busy}
+              style={styles.input}
+              aria-label="From"
+            />
+            <span style={styles.rangeSeparator}>to</span>
+            <input
+              type="date"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              disabled={busy}
+              style={styles.input}
+              aria-label="To"
+            />
+          </div>
+        </div>
+
+        <button type="submit" disabled={busy} style={styles.button}>
+          {busy ? `Loading history... ${progress} messages` : 'Export'}
+        </button>
+
+        {error && <div style={styles.error}>{error}</div>}
+      </form>
+    </div>
+  );
+}
+
+const styles = {
+  overlay: {
+    position: 'fixed',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    zIndex: 1000,
+  },
+  card: {
+    backgroundColor: '#fff',
+    padding: '24px',
+    borderRadius: '12px',
+    boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+    width: '100%',
+    maxWidth: '420px',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '12px',
+    marginBottom: '16px',
+  },
+  title: {
+    margin: 0,
+    color: '#333',
+    fontSize: '20px',
+    fontWeight: '600',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  closeButton: {
+    border: 'none',
+    background: 'none',
+    fontSize: '22px',
+    lineHeight: 1,
+    color: '#999',
+    cursor: 'pointer',
+  },
+  section: {
+    display: 'flex',
+    flexDirection: 'column',
+    marginBottom: '20px',
+  },
+  label: {
+    display: 'block',
+    marginBottom: '8px',
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#666',
+  },
+  option: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '4px 0',
+    fontSize: '14px',
+    cursor: 'pointer',
+  },
+  inline: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  input: {
+    flex: 1,
+    minWidth: 0,
+    padding: '8px 10px',
+    border: '1px solid #e0e0e0',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none',
+  },
+  rangeSeparator: {
+    fontSize: '13px',
+    color: '#999',
+  },
+  button: {
+    width: '100%',
+    padding: '12px',
+    backgroundColor: '#2196f3',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '15px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  error: {
+    marginTop: '16px',
+    padding: '12px',
+    backgroundColor: '#ffebee',
+    color: '#c62828',
+    borderRadius: '8px',
+    fontSize: '14px',
+  },
+};
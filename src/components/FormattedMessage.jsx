@@ -0,0 +1,87 @@
+import { parseMessage } from '../utils/formatMessage';
+
+/**
+ * FormattedMessage renders message text with formatting (see utils/formatMessage).
+ * Every piece of text is a React text node, so message content is never
+ * interpreted as HTML. Links open in a new tab with rel="noopener noreferrer".
+ */
+export default function FormattedMessage({ text, isSent = false, style }) {
+  return <div style={{ ...styles.container, ...style }}>{renderNodes(parseMessage(text), isSent)}</div>;
+}
+
+const renderNodes = (nodes, isSent) =>
+  nodes.map((node, index) => {
+    switch (node.type) {
+      case 'bold':
+        return <strong key={index}>{renderNodes(node.children, isSent)}</strong>;
+      case 'italic':
+        return <em key={index}>{renderNodes(node.children, isSent)}</em>;
+      case 'code':
+        return (
+          <code key={index} style={{ ...styles.inlineCode, ...(isSent ? styles.codeSent : {}) }}>
+            {node.text}
+          </code>
+        );
+      case 'codeBlock':
+        return (
+          <pre
+            key={index}
+            style={{ ...styles.codeBlock, ...(isSent ? styles.codeSent : {}) }}
+            data-language={node.language || undefined}
+          >
+            <code>{node.text}</code>
+          </pre>
+        );
+      case 'link':
+        return (
+          <a
+            key={index}
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer"
+            style={{ ...styles.link, ...(isSent ? styles.linkSent : {}) }}
+          >
+            {node.text}
+          </a>
+        );
+      default:
+        return node.text;
+    }
+  });
+
+const MONOSPACE = 'ui-monospace, SFMono-Regular, Menlo, Consolas, monospace';
+
+const styles = {
+  container: {
+    whiteSpace: 'pre-wrap',
+    overflowWrap: 'anywhere',
+  },
+  inlineCode: {
+    padding: '1px 4px',
+    backgroundColor: 'rgba(0, 0, 0, 0.06)',
+    borderRadius: '4px',
+    fontFamily: MONOSPACE,
+    fontSize: '0.9em',
+  },
+  codeBlock: {
+    margin: '4px 0',
+    padding: '8px 10px',
+    backgroundColor: 'rgba(0, 0, 0, 0.06)',
+    borderRadius: '6px',
+    fontFamily: MONOSPACE,
+    fontSize: '12px',
+    lineHeight: '1.5',
+    whiteSpace: 'pre',
+    overflowX: 'auto',
+  },
+  codeSent: {
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  link: {
+    color: '#1976d2',
+    textDecoration: 'underline',
+  },
+  linkSent: {
+    color: '#fff',
+  },
+};
@@ -0,0 +1,345 @@
+import { useState } from 'react';
+import { chatService } from '../services/chatService';
+
+const MAX_GROUP_NAME_LENGTH = 100;
+
+/**
+ * GroupDialog creates a group (no `group` prop) or manages an existing one:
+ * rename, add or remove members, and leave.
+ * Changes go to the hub; the resulting group events update every member's view.
+ */
+export default function GroupDialog({ group, users, currentUserId, onCreated, onLeft, onClose }) {
+  const isNew = !group;
+  const [name, setName] = useState(group?.name || '');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const memberIds = group?.memberIds || [];
+  const otherUsers = users.filter((user) => user.id !== currentUserId);
+  const candidates = otherUsers.filter((user) => !memberIds.includes(user.id));
+  const canRemoveMembers = group?.createdBy === currentUserId;
+
+  const getUsername = (userId) =>
+    userId === currentUserId ? 'You' : users.find((user) => user.id === userId)?.username || `User ${userId}`;
+
+  const run = async (action) => {
+    setError('');
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleSelected = (userId) => {
+    setSelectedIds((prev) =>
+      prev.includes(userId) ? prev.filter((id) => id !== userId) : [...prev, userId]
+    );
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const created = await chatService.createGroup(name.trim(), selectedIds);
+      onCreated?.(created);
+    });
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    run(() => chatService.renameGroup(group.id, name.trim()));
+  };
+
+  const handleAddMembers = () => {
+    run(async () => {
+      await chatService.addGroupMembers(group.id, selectedIds);
+      setSelectedIds([]);
+    });
+  };
+
+  const handleRemoveMember = (userId) => {
+    run(() => chatService.removeGroupMember(group.id, userId));
+  };
+
+  const handleLeave = () => {
+    if (!window.confirm(`Leave "${group.name}"? You will stop receiving its messages.`)) return;
+    run(async () => {
+      await chatService.leaveGroup(group.id);
+      onLeft?.(group);
+    });
+  };
+
+  const renderUserPicker = (pickable) =>
+    pickable.length === 0 ? (
+      <p style={styles.empty}>No other users to add</p>
+    ) : (
+      <div style={styles.userPicker}>
+        {pickable.map((user) => (
+          <label key={user.id} style={styles.pickerRow}>
+            <input
+              type="checkbox"
+              checked={selectedIds.includes(user.id)}
+              onChange={() => toggleSelected(user.id)}
+            />
+            {user.username}
+          </label>
+        ))}
+      </div>
+    );
+
+  return (
+    <div style={styles.overlay} role="dialog" aria-modal="true" aria-labelledby="group-dialog-title">
+      <div style={styles.card}>
+        <div style={styles.header}>
+          <h2 id="group-dialog-title" style={styles.title}>
+            {isNew ? 'New group' : 'Group settings'}
+          </h2>
+          <button onClick={onClose} style={styles.closeButton} aria-label="Close">
+            &times;
+          </button>
+        </div>
+
+        <form onSubmit={isNew ? handleCreate : handleRename} style={styles.section}>
+          <label style={styles.label}>Group name</label>
+          <div style={styles.inline}>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={MAX_GROUP_NAME_LENGTH}
+              required
+              autoFocus
+              style={styles.input}
+              placeholder="e.g. Project team"
+            />
+            {!isNew && (
+              <button
+                type="submit"
+                disabled={busy || !name.trim() || name.trim() === group.name}
+                style={styles.secondaryButton}
+              >
+                Rename
+              </button>
+            )}
+          </div>
+
+          {isNew && (
+            <>
+              <label style={styles.label}>Members</label>
+              {renderUserPicker(otherUsers)}
+              <button
+                type="submit"
+                disabled={busy || !name.trim() || selectedIds.length === 0}
+                style={styles.button}
+              >
+                {busy ? 'Creating...' : 'Create group'}
+              </button>
+            </>
+          )}
+        </form>
+
+        {!isNew && (
+          <>
+            <div style={styles.section}>
+              <label style={styles.label}>Members ({memberIds.length})</label>
+              <ul style={styles.memberList}>
+                {memberIds.map((userId) => (
+                  <li key={userId} style={styles.memberRow}>
+                    <span>
+                      {getUsername(userId)}
+                      {userId === group.createdBy && <span style={styles.ownerTag}> &middot; creator</span>}
+                    </span>
+                    {canRemoveMembers && userId !== currentUserId && (
+                      <button
+                        onClick={() => handleRemoveMember(userId)}
+                        disabled={busy}
+                        style={styles.linkButton}
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            <div style={styles.section}>
+              <label style={styles.label}>Add members</label>
+              {renderUserPicker(candidates)}
+              {candidates.length > 0 && (
+                <button
+                  onClick={handleAddMembers}
+                  disabled={busy || selectedIds.length === 0}
+                  style={styles.secondaryButton}
+                >
+                  Add selected
+                </button>
+              )}
+            </div>
+
+            <button onClick={handleLeave} disabled={busy} style={styles.dangerButton}>
+              Leave group
+            </button>
+          </>
+        )}
+
+        {error && <div style={styles.error}>{error}</div>}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  overlay: {
+    position: 'fixed',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    zIndex: 1000,
+  },
+  card: {
+    backgroundColor: '#fff',
+    padding: '24px',
+    borderRadius: '12px',
+    boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+    width: '100%',
+    maxWidth: '420px',
+    maxHeight: '90vh',
+    overflowY: 'auto',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '16px',
+  },
+  title: {
+    margin: 0,
+    color: '#333',
+    fontSize: '20px',
+    fontWeight: '600',
+  },
+  closeButton: {
+    border: 'none',
+    background: 'none',
+    fontSize: '22px',
+    lineHeight: 1,
+    color: '#999',
+    cursor: 'pointer',
+  },
+  section: {
+    display: 'flex',
+    flexDirection: 'column',
+    marginBottom: '20px',
+  },
+  label: {
+    display: 'block',
+    marginBottom: '8px',
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#666',
+  },
+  inline: {
+    display: 'flex',
+    gap: '8px',
+    marginBottom: '16px',
+  },
+  input: {
+    flex: 1,
+    padding: '10px 14px',
+    border: '1px solid #e0e0e0',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none',
+    boxSizing: 'border-box',
+  },
+  userPicker: {
+    maxHeight: '180px',
+    overflowY: 'auto',
+    border: '1px solid #e0e0e0',
+    borderRadius: '8px',
+    padding: '6px 10px',
+    marginBottom: '12px',
+  },
+  pickerRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '4px 0',
+    fontSize: '14px',
+    cursor: 'pointer',
+  },
+  memberList: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+  },
+  memberRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '6px 0',
+    fontSize: '14px',
+    borderBottom: '1px solid #f0f0f0',
+  },
+  ownerTag: {
+    fontSize: '12px',
+    color: '#999',
+  },
+  empty: {
+    margin: '0 0 12px',
+    fontSize: '13px',
+    color: '#999',
+  },
+  button: {
+    padding: '12px',
+    backgroundColor: '#2196f3',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '15px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  secondaryButton: {
+    alignSelf: 'flex-start',
+    padding: '8px 14px',
+    backgroundColor: '#fff',
+    color: '#2196f3',
+    border: '1px solid #2196f3',
+    borderRadius: '8px',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+  linkButton: {
+    border: 'none',
+    background: 'none',
+    color: '#c62828',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+  dangerButton: {
+    width: '100%',
+    padding: '10px',
+    backgroundColor: '#fff',
+    color: '#c62828',
+    border: '1px solid #ef9a9a',
+    borderRadius: '8px',
+    fontSize: '14px',
+    cursor: 'pointer',
+  },
+  error: {
+    marginTop: '16px',
+    padding: '12px',
+    backgroundColor: '#ffebee',
+    color: '#c62828',
+    borderRadius: '8px',
+    fontSize: '14px',
+  },
+};
@@ -0,0 +1,89 @@
+import { useEffect } from 'react';
+import { attachmentService } from '../services/attachmentService';
+
+/**
+ * ImageLightbox shows an image attachment full size over the page.
+ * Closes on Escape, the close button or a click outside the image.
+ */
+export default function ImageLightbox({ attachment, onClose }) {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const url = attachmentService.getUrl(attachment);
+
+  return (
+    <div style={styles.overlay} onClick={onClose} role="dialog" aria-modal="true" aria-label={attachment.fileName}>
+      <div style={styles.toolbar} onClick={(e) => e.stopPropagation()}>
+        <span style={styles.fileName}>{attachment.fileName}</span>
+        {url && (
+          <a href={url} download={attachment.fileName} target="_blank" rel="noopener noreferrer" style={styles.link}>
+            Download
+          </a>
+        )}
+        <button onClick={onClose} style={styles.closeButton} aria-label="Close">
+          &times;
+        </button>
+      </div>
+      <img
+        src={url}
+        alt={attachment.fileName}
+        onClick={(e) => e.stopPropagation()}
+        style={styles.image}
+      />
+    </div>
+  );
+}
+
+const styles = {
+  overlay: {
+    position: 'fixed',
+    inset: 0,
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.85)',
+    zIndex: 1000,
+  },
+  toolbar: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '16px',
+    padding: '12px 20px',
+    color: '#fff',
+  },
+  fileName: {
+    flex: 1,
+    fontSize: '14px',
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+  },
+  link: {
+    color: '#fff',
+    fontSize: '14px',
+  },
+  closeButton: {
+    border: 'none',
+    background: 'none',
+    color: '#fff',
+    fontSize: '28px',
+    lineHeight: 1,
+    cursor: 'pointer',
+  },
+  image: {
+    maxWidth: '90vw',
+    maxHeight: '85vh',
+    objectFit: 'contain',
+    borderRadius: '4px',
+  },
+};
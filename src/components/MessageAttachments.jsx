@@ -0,0 +1,160 @@
+import { useEffect, useRef } from 'react';
+import { attachmentService } from '../services/attachmentService';
+import { formatFileSize, isImageAttachment } from '../utils/attachments';
+
+const THUMBNAIL_SIZE = 200;
+
+/**
+ * MessageAttachments renders the attachments of a message: images as
+ * thumbnails (clicking opens onOpenImage) and other files as cards with a
+ * download link. Queued attachments that are not uploaded yet are shown
+ * from their local file. Without a usable URL only the file name is shown.
+ */
+export default function MessageAttachments({ attachments, isSent, onOpenImage }) {
+  return (
+    <div style={styles.container}>
+      {attachments.map((attachment, index) =>
+        isImageAttachment(attachment) && (attachment.file || attachmentService.getUrl(attachment)) ? (
+          <ImageThumbnail key={attachment.id ?? index} attachment={attachment} onOpen={onOpenImage} />
+        ) : (
+          <FileCard key={attachment.id ?? index} attachment={attachment} isSent={isSent} />
+        )
+      )}
+    </div>
+  );
+}
+
+function ImageThumbnail({ attachment, onOpen }) {
+  const imageRef = useRef(null);
+  const url = attachmentService.getUrl(attachment);
+  const { file } = attachment;
+
+  // Local preview; the object URL lives as long as the thumbnail
+  useEffect(() => {
+    if (url || !file || !imageRef.current) return undefined;
+    const objectUrl = URL.createObjectURL(file);
+    imageRef.current.src = objectUrl;
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [url, file]);
+
+  const image = (
+    <img
+      ref={imageRef}
+      src={url || undefined}
+      alt={attachment.fileName}
+      loading="lazy"
+      style={styles.thumbnail}
+    />
+  );
+
+  if (!url) return image;
+  return (
+    <button
+      type="button"
+      onClick={() => onOpen?.(attachment)}
+      style={styles.thumbnailButton}
+      title={attachment.fileName}
+    >
+      {image}
+    </button>
+  );
+}
+
+function FileCard({ attachment, isSent }) {
+  const url = attachmentService.getUrl(attachment);
+
+  return (
+    <div style={{ ...styles.fileCard, ...(isSent ? styles.fileCardSent : {}) }}>
+      <span style={styles.fileIcon} aria-hidden="true">
+        &#128196;
+      </span>
+      <div style={styles.fileDetails}>
+        <span style={styles.fileName} title={attachment.fileName}>
+          {attachment.fileName}
+        </span>
+        <span style={styles.fileSize}>{formatFileSize(attachment.size)}</span>
+      </div>
+      {url && (
+        <a
+          href={url}
+          download={attachment.fileName}
+          target="_blank"
+          rel="noopener noreferrer"
+          style={{ ...styles.downloadLink, ...(isSent ? styles.downloadLinkSent : {}) }}
+        >
+          Download
+        </a>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+    marginBottom: '6px',
+  },
+  thumbnailButton: {
+    padding: 0,
+    border: 'none',
+    background: 'none',
+    cursor: 'zoom-in',
+  },
+  thumbnail: {
+    display: 'block',
+    maxWidth: `${THUMBNAIL_SIZE}px`,
+    maxHeight: `${THUMBNAIL_SIZE}px`,
+    minWidth: '60px',
+    minHeight: '60px',
+    objectFit: 'cover',
+    borderRadius: '8px',
+    backgroundColor: 'rgba(0, 0, 0, 0.08)',
+  },
+  fileCard: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    minWidth: '200px',
+    padding: '8px 10px',
+    backgroundColor: '#f5f5f5',
+    borderRadius: '8px',
+    color: '#333',
+  },
+  fileCardSent: {
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    color: '#fff',
+  },
+  fileIcon: {
+    fontSize: '22px',
+  },
+  fileDetails: {
+    display: 'flex',
+    flexDirection: 'column',
+    minWidth: 0,
+    flex: 1,
+  },
+  fileName: {
+    fontSize: '13px',
+    fontWeight: '600',
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    maxWidth: '220px',
+  },
+  fileSize: {
+    fontSize: '11px',
+    opacity: 0.7,
+  },
+  downloadLink: {
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#2196f3',
+    textDecoration: 'none',
+  },
+  downloadLinkSent: {
+    color: '#fff',
+    textDecoration: 'underline',
+  },
+};
@@ -1,50 +1,350 @@
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import { ATTACHMENT_ACCEPT } from '../services/attachmentService';
+import { formatFileSize } from '../utils/attachments';
+import FormattedMessage from './FormattedMessage';
+
+// Repeat "typing" at most this often; must stay below the receiver's expiry (ChatService)
+const TYPING_THROTTLE_MS = 3000;
+// Send "stopped typing" after this long without a keystroke
+const TYPING_IDLE_MS = 2000;
+// The input grows with its content up to this many lines, then scrolls
+const MAX_INPUT_ROWS = 6;
+
+const LINE_HEIGHT_PX = 20;
+// Height of a one-line input; the buttons next to it match it
+const CONTROL_HEIGHT = '46px';
+
+// Ctrl/Cmd + key wraps the selection in these markers (see utils/formatMessage)
+const FORMAT_SHORTCUTS = {
+  b: '**',
+  i: '*',
+  e: '`',
+};
+
+const FORMATTING_HINT =
+  '**bold**  *italic*  `code`  ```code block```  :thumbsup:  \u00b7  Ctrl+B bold, Ctrl+I italic, Ctrl+E code, Shift+Enter new line';
 
 /**
  * MessageInput component for typing and sending messages.
- * Handles Enter key for quick sending.
+ * Handles Enter key for quick sending; Shift+Enter starts a new line.
+ * Formatting shortcuts wrap the selection in markdown markers, and the
+ * preview toggle shows the message as it will be rendered.
+ * When replying, the quoted message (replyTo: { id, senderName, text }) shows
+ * above the input; Escape or its close button cancels the reply.
+ * Reports throttled typing start/stop through onTyping(isTyping).
+ * Files come from the attach button or pasting and are passed to onAddFiles;
+ * the parent owns the selected attachments (they can also be dropped on the chat).
  */
-export default function MessageInput({ onSendMessage, disabled }) {
+export default function MessageInput({
+  onSendMessage,
+  onTyping,
+  disabled,
+  attachments = [],
+  attachmentError,
+  onAddFiles,
+  onRemoveAttachment,
+  replyTo,
+  onCancelReply,
+}) {
   const [message, setMessage] = useState('');
+  const [showPreview, setShowPreview] = useState(false);
+  const inputRef = useRef(null);
+  const typingRef = useRef({ active: false, lastSentAt: 0, idleTimer: null });
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    const typing = typingRef.current;
+    return () => clearTimeout(typing.idleTimer);
+  }, []);
+
+  // Choosing a message to reply to moves the cursor here
+  const replyId = replyTo?.id;
+  useEffect(() => {
+    if (replyId !== undefined) inputRef.current?.focus();
+  }, [replyId]);
+
+  const stopTyping = () => {
+    const typing = typingRef.current;
+    clearTimeout(typing.idleTimer);
+    if (!typing.active) return;
+
+    typing.active = false;
+    onTyping?.(false);
+  };
+
+  const reportTyping = () => {
+    const typing = typingRef.current;
+    const now = Date.now();
+
+    if (!typing.active || now - typing.lastSentAt >= TYPING_THROTTLE_MS) {
+      typing.active = true;
+      typing.lastSentAt = now;
+      onTyping?.(true);
+    }
+
+    clearTimeout(typing.idleTimer);
+    typing.idleTimer = setTimeout(stopTyping, TYPING_IDLE_MS);
+  };
+
+  const handleChange = (e) => {
+    setMessage(e.target.value);
+    if (e.target.value) {
+      reportTyping();
+    } else {
+      stopTyping();
+    }
+  };
+
+  const canSend = !disabled && (message.trim() !== '' || attachments.length > 0);
 
   const handleSend = () => {
-    if (message.trim() && !disabled) {
+    if (canSend) {
       onSendMessage(message.trim());
       setMessage('');
+      stopTyping();
     }
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
+  const handleFilesSelected = (e) => {
+    onAddFiles?.(Array.from(e.target.files));
+    // Allow picking the same file again
+    e.target.value = '';
+  };
+
+  const handlePaste = (e) => {
+    const files = Array.from(e.clipboardData.files);
+    if (files.length === 0 || !onAddFiles) return;
+    e.preventDefault();
+    onAddFiles(files);
+  };
+
+  /**
+   * Wrap the selection in `marker` (a fenced block when it spans lines and
+   * the marker is a backtick), or unwrap it if it is already wrapped.
+   */
+  const applyFormat = (marker) => {
+    const input = inputRef.current;
+    if (!input) return;
+
+    const { selectionStart: start, selectionEnd: end } = input;
+    const selected = message.slice(start, end);
+    const isBlock = marker === '`' && selected.includes('\n');
+    const [open, close] = isBlock ? ['```\n', '\n```'] : [marker, marker];
+
+    let next;
+    let selection;
+    if (message.slice(start - open.length, start) === open && message.slice(end, end + close.length) === close) {
+      next = message.slice(0, start - open.length) + selected + message.slice(end + close.length);
+      selection = [start - open.length, end - open.length];
+    } else {
+      next = message.slice(0, start) + open + selected + close + message.slice(end);
+      selection = [start + open.length, end + open.length];
+    }
+
+    setMessage(next);
+    reportTyping();
+    // Restore the selection once the new value is rendered
+    requestAnimationFrame(() => input.setSelectionRange(...selection));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
       e.preventDefault();
       handleSend();
+      return;
+    }
+
+    if (e.key === 'Escape' && replyTo) {
+      e.preventDefault();
+      onCancelReply?.();
+      return;
+    }
+
+    const marker = FORMAT_SHORTCUTS[e.key.toLowerCase()];
+    if (marker && (e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey) {
+      e.preventDefault();
+      applyFormat(marker);
     }
   };
 
   return (
-    <div style={styles.container}>
-      <input
-        type="text"
-        value={message}
-        onChange={(e) => setMessage(e.target.value)}
-        onKeyPress={handleKeyPress}
-        placeholder={disabled ? 'Select a user to start chatting' : 'Type a message...'}
-        disabled={disabled}
-        style={styles.input}
-      />
-      <button onClick={handleSend} disabled={disabled || !message.trim()} style={styles.button}>
-        Send
-      </button>
+    <div style={styles.wrapper}>
+      {replyTo && (
+        <div style={styles.reply}>
+          <div style={styles.replyText}>
+            <span style={styles.replyLabel}>Replying to {replyTo.senderName}</span>
+            <span style={styles.replyPreview}>{replyTo.text}</span>
+          </div>
+          <button onClick={onCancelReply} style={styles.chipRemove} aria-label="Cancel reply">
+            &times;
+          </button>
+        </div>
+      )}
+      {(attachments.length > 0 || attachmentError) && (
+        <div style={styles.attachments}>
+          {attachments.map((file, index) => (
+            <span key={`${file.name}-${index}`} style={styles.chip} title={file.name}>
+              <span style={styles.chipName}>{file.name}</span>
+              <span style={styles.chipSize}>{formatFileSize(file.size)}</span>
+              <button
+                onClick={() => onRemoveAttachment?.(index)}
+                style={styles.chipRemove}
+                aria-label={`Remove ${file.name}`}
+              >
+                &times;
+              </button>
+            </span>
+          ))}
+          {attachmentError && <span style={styles.error}>{attachmentError}</span>}
+        </div>
+      )}
+      {showPreview && (
+        <div style={styles.preview}>
+          {message.trim() ? (
+            <FormattedMessage text={message.trim()} />
+          ) : (
+            <span style={styles.previewEmpty}>Nothing to preview</span>
+          )}
+          <div style={styles.hint}>{FORMATTING_HINT}</div>
+        </div>
+      )}
+      <div style={styles.container}>
+        {onAddFiles && (
+          <>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={disabled}
+              style={styles.attachButton}
+              title="Attach files"
+              aria-label="Attach files"
+            >
+              &#128206;
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={ATTACHMENT_ACCEPT}
+              onChange={handleFilesSelected}
+              style={styles.fileInput}
+            />
+          </>
+        )}
+        <textarea
+          ref={inputRef}
+          value={message}
+          rows={Math.min(message.split('\n').length, MAX_INPUT_ROWS)}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onPaste={handlePaste}
+          onBlur={stopTyping}
+          placeholder={disabled ? 'Select a conversation to start chatting' : 'Type a message...'}
+          disabled={disabled}
+          style={styles.input}
+        />
+        <button
+          onClick={() => setShowPreview((open) => !open)}
+          disabled={disabled}
+          style={{ ...styles.previewButton, ...(showPreview ? styles.previewButtonActive : {}) }}
+          aria-pressed={showPreview}
+          title="Preview formatting"
+        >
+          Preview
+        </button>
+        <button onClick={handleSend} disabled={!canSend} style={styles.button}>
+          Send
+        </button>
+      </div>
     </div>
   );
 }
 
 const styles = {
+  wrapper: {
+    borderTop: '1px solid #e0e0e0',
+    backgroundColor: '#fff',
+  },
+  reply: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    margin: '10px 20px 0',
+    padding: '6px 10px',
+    borderLeft: '3px solid #2196f3',
+    backgroundColor: '#f5f5f5',
+    borderRadius: '4px',
+  },
+  replyText: {
+    display: 'flex',
+    flexDirection: 'column',
+    flex: 1,
+    minWidth: 0,
+    fontSize: '12px',
+  },
+  replyLabel: {
+    fontWeight: '600',
+    color: '#1976d2',
+  },
+  replyPreview: {
+    color: '#666',
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+  },
+  attachments: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '10px 20px 0',
+  },
+  chip: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '6px',
+    maxWidth: '240px',
+    padding: '4px 6px 4px 10px',
+    backgroundColor: '#e3f2fd',
+    borderRadius: '12px',
+    fontSize: '12px',
+  },
+  chipName: {
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+  },
+  chipSize: {
+    color: '#666',
+    flexShrink: 0,
+  },
+  chipRemove: {
+    border: 'none',
+    background: 'none',
+    color: '#666',
+    fontSize: '16px',
+    lineHeight: 1,
+    cursor: 'pointer',
+  },
+  error: {
+    fontSize: '12px',
+    color: '#c62828',
+  },
+  attachButton: {
+    height: CONTROL_HEIGHT,
+    padding: '0 12px',
+    backgroundColor: '#fff',
+    border: '1px solid #e0e0e0',
+    borderRadius: '24px',
+    fontSize: '18px',
+    cursor: 'pointer',
+  },
+  fileInput: {
+    display: 'none',
+  },
   container: {
     display: 'flex',
+    alignItems: 'flex-end',
     padding: '16px 20px',
-    borderTop: '1px solid #e0e0e0',
-    backgroundColor: '#fff',
     gap: '10px',
   },
   input: {
@@ -53,11 +353,50 @@ const styles = {
     border: '1px solid #e0e0e0',
     borderRadius: '24px',
     fontSize: '14px',
+    fontFamily: 'inherit',
+    lineHeight: `${LINE_HEIGHT_PX}px`,
+    boxSizing: 'border-box',
     outline: 'none',
+    resize: 'none',
     transition: 'border-color 0.2s',
   },
+  preview: {
+    margin: '10px 20px 0',
+    padding: '10px 14px',
+    maxHeight: '200px',
+    overflowY: 'auto',
+    backgroundColor: '#f5f5f5',
+    border: '1px solid #e0e0e0',
+    borderRadius: '12px',
+    fontSize: '14px',
+    lineHeight: '1.4',
+  },
+  previewEmpty: {
+    color: '#999',
+  },
+  hint: {
+    marginTop: '8px',
+    fontSize: '11px',
+    color: '#999',
+  },
+  previewButton: {
+    height: CONTROL_HEIGHT,
+    padding: '0 14px',
+    backgroundColor: '#fff',
+    color: '#666',
+    border: '1px solid #e0e0e0',
+    borderRadius: '24px',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+  previewButtonActive: {
+    backgroundColor: '#e3f2fd',
+    color: '#1976d2',
+    borderColor: '#90caf9',
+  },
   button: {
-    padding: '12px 28px',
+    height: CONTROL_HEIGHT,
+    padding: '0 28px',
     backgroundColor: '#2196f3',
     color: '#fff',
     border: 'none',
@@ -0,0 +1,182 @@
+import { useState } from 'react';
+import { notificationService } from '../services/notificationService';
+import { SOUND_OPTIONS, playSound } from '../utils/sounds';
+
+const PERMISSION_HINTS = {
+  denied: 'Notifications are blocked for this site in the browser settings.',
+  unsupported: 'This browser does not support desktop notifications.',
+};
+
+/**
+ * NotificationSettings panel: global mute, desktop notifications, sound and volume.
+ * Enabling desktop notifications asks the browser for permission.
+ * Per-user muting lives in the conversation header.
+ */
+export default function NotificationSettings({ settings, onChange, onClose }) {
+  const [permission, setPermission] = useState(() => notificationService.getPermission());
+
+  const handleDesktopChange = async (enabled) => {
+    onChange({ desktop: enabled });
+    if (enabled && permission === 'default') {
+      setPermission(await notificationService.requestPermission());
+    }
+  };
+
+  const handleSoundChange = (sound) => {
+    onChange({ sound });
+    playSound(sound, settings.volume);
+  };
+
+  const handleVolumeChange = (volume) => {
+    onChange({ volume });
+  };
+
+  return (
+    <div style={styles.panel} role="dialog" aria-label="Notification settings">
+      <div style={styles.header}>
+        <h3 style={styles.title}>Notifications</h3>
+        <button onClick={onClose} style={styles.closeButton} aria-label="Close">
+          &times;
+        </button>
+      </div>
+
+      <label style={styles.row}>
+        <input
+          type="checkbox"
+          checked={settings.muted}
+          onChange={(e) => onChange({ muted: e.target.checked })}
+        />
+        Mute all notifications
+      </label>
+
+      <label style={{ ...styles.row, ...(settings.muted ? styles.disabled : {}) }}>
+        <input
+          type="checkbox"
+          checked={settings.desktop && permission === 'granted'}
+          disabled={settings.muted || permission === 'denied' || permission === 'unsupported'}
+          onChange={(e) => handleDesktopChange(e.target.checked)}
+        />
+        Desktop notifications
+      </label>
+      {PERMISSION_HINTS[permission] && <p style={styles.hint}>{PERMISSION_HINTS[permission]}</p>}
+      {permission === 'default' && settings.desktop && (
+        <button onClick={() => handleDesktopChange(true)} style={styles.permissionButton}>
+          Allow desktop notifications
+        </button>
+      )}
+
+      <div style={{ ...styles.field, ...(settings.muted ? styles.disabled : {}) }}>
+        <label style={styles.label}>Sound</label>
+        <select
+          value={settings.sound}
+          disabled={settings.muted}
+          onChange={(e) => handleSoundChange(e.target.value)}
+          style={styles.select}
+        >
+          {SOUND_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div style={{ ...styles.field, ...(settings.muted || settings.sound === 'off' ? styles.disabled : {}) }}>
+        <label style={styles.label}>Volume</label>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.1"
+          value={settings.volume}
+          disabled={settings.muted || settings.sound === 'off'}
+          onChange={(e) => handleVolumeChange(Number(e.target.value))}
+          onMouseUp={() => playSound(settings.sound, settings.volume)}
+          style={styles.range}
+        />
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    position: 'absolute',
+    top: '100%',
+    right: 0,
+    marginTop: '8px',
+    width: '280px',
+    padding: '16px',
+    backgroundColor: '#fff',
+    color: '#333',
+    borderRadius: '8px',
+    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+    zIndex: 100,
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '12px',
+  },
+  title: {
+    margin: 0,
+    fontSize: '16px',
+    fontWeight: '600',
+  },
+  closeButton: {
+    border: 'none',
+    background: 'none',
+    fontSize: '20px',
+    lineHeight: 1,
+    color: '#999',
+    cursor: 'pointer',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '10px',
+    fontSize: '14px',
+    cursor: 'pointer',
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+  hint: {
+    margin: '0 0 10px 24px',
+    fontSize: '12px',
+    color: '#c62828',
+  },
+  permissionButton: {
+    margin: '0 0 12px 24px',
+    padding: '6px 10px',
+    backgroundColor: '#2196f3',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '6px',
+    fontSize: '12px',
+    cursor: 'pointer',
+  },
+  field: {
+    marginBottom: '12px',
+  },
+  label: {
+    display: 'block',
+    marginBottom: '6px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#666',
+  },
+  select: {
+    width: '100%',
+    padding: '6px 10px',
+    border: '1px solid #e0e0e0',
+    borderRadius: '6px',
+    fontSize: '14px',
+    backgroundColor: '#fff',
+  },
+  range: {
+    width: '100%',
+  },
+};
@@ -1,13 +1,17 @@
-import { Navigate } from 'react-router-dom';
-import { authService } from '../services/authService';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
 
 /**
  * Protected route wrapper component.
- * Redirects to login if user is not authenticated.
+ * Redirects to login if user is not authenticated (also after logout in another tab).
+ * The requested location goes along as `state.from`, so login can return there.
  */
 export default function ProtectedRoute({ children }) {
-  if (!authService.isAuthenticated()) {
-    return <Navigate to="/login" replace />;
+  const { isAuthenticated } = useAuth();
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
   }
 
   return children;
@@ -0,0 +1,237 @@
+import { useEffect, useRef, useState } from 'react';
+import { searchService } from '../services/searchService';
+import { getHighlightSegments, getQueryTerms, getSearchableText } from '../utils/search';
+import { formatRelativeTime } from '../utils/time';
+
+// Wait for a pause in typing before asking the server
+const SERVER_SEARCH_DELAY_MS = 400;
+// The server cannot read encrypted messages, so it cannot find them either
+const ENCRYPTED_NOTE = 'Encrypted messages are only found in conversations cached on this device.';
+
+/**
+ * SearchPanel searches messages in all conversations. It takes the
+ * sidebar's place while open.
+ * Cached conversations are searched as you type; the server is searched
+ * after a short pause for older history (encrypted messages are only
+ * searched locally). Results are grouped by
+ * conversation with the matching words highlighted, and clicking one
+ * opens it (onOpenResult). Escape or the close button closes the panel.
+ */
+export default function SearchPanel({ getConversationTitle, userNames = {}, currentUserId, onOpenResult, onClose }) {
+  const [query, setQuery] = useState('');
+  const [localResults, setLocalResults] = useState([]);
+  const [serverResults, setServerResults] = useState([]);
+  const [searchingServer, setSearchingServer] = useState(false);
+  const [serverFailed, setServerFailed] = useState(false);
+  const [activeId, setActiveId] = useState(null);
+  const timerRef = useRef(null);
+  const requestRef = useRef(0); // latest server request; older answers are ignored
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  const handleQueryChange = (value) => {
+    setQuery(value);
+    setLocalResults(searchService.searchLocal(value));
+    setServerResults([]);
+    setServerFailed(false);
+    clearTimeout(timerRef.current);
+
+    const request = ++requestRef.current;
+    if (getQueryTerms(value).length === 0) {
+      setSearchingServer(false);
+      return;
+    }
+
+    setSearchingServer(true);
+    timerRef.current = setTimeout(async () => {
+      try {
+        const results = await searchService.searchServer(value);
+        if (request === requestRef.current) setServerResults(results);
+      } catch (error) {
+        console.error('Server search failed:', error);
+        if (request === requestRef.current) setServerFailed(true);
+      } finally {
+        if (request === requestRef.current) setSearchingServer(false);
+      }
+    }, SERVER_SEARCH_DELAY_MS);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  const handleOpen = (message) => {
+    setActiveId(message.id);
+    onOpenResult(message);
+  };
+
+  const terms = getQueryTerms(query);
+  // Conversations the user is no longer part of are left out
+  const groups = searchService
+    .groupResults(localResults, serverResults)
+    .map((group) => ({ ...group, title: getConversationTitle(group.conversationKey) }))
+    .filter((group) => group.title);
+
+  const getSenderLabel = (senderId) =>
+    senderId === currentUserId ? 'You' : userNames[senderId] || `User ${senderId}`;
+
+  let status = null;
+  if (terms.length === 0) {
+    status = `Search messages in all conversations. ${ENCRYPTED_NOTE}`;
+  } else if (searchingServer) {
+    status = groups.length > 0 ? 'Searching older messages...' : 'Searching...';
+  } else if (serverFailed) {
+    status = 'Only cached messages were searched';
+  } else if (groups.length === 0) {
+    status = `No messages found. ${ENCRYPTED_NOTE}`;
+  }
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => handleQueryChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search messages"
+          autoFocus
+          style={styles.input}
+          aria-label="Search messages"
+        />
+        <button onClick={onClose} style={styles.closeButton} aria-label="Close search">
+          &times;
+        </button>
+      </div>
+      {status && <p style={styles.status}>{status}</p>}
+      <div style={styles.results}>
+        {terms.length > 0 &&
+          groups.map((group) => (
+            <div key={group.conversationKey}>
+              <h3 style={styles.conversationTitle}>{group.title}</h3>
+              {group.messages.map((message) => (
+                <button
+                  key={message.id}
+                  onClick={() => handleOpen(message)}
+                  style={{ ...styles.result, ...(activeId === message.id ? styles.resultActive : {}) }}
+                >
+                  <span style={styles.resultMeta}>
+                    <span style={styles.sender}>{getSenderLabel(message.senderId)}</span>
+                    <span>{formatRelativeTime(message.timestamp)}</span>
+                  </span>
+                  <span style={styles.snippet}>
+                    {getHighlightSegments(getSearchableText(message), terms).map((segment, index) =>
+                      segment.match ? (
+                        <mark key={index} style={styles.match}>
+                          {segment.text}
+                        </mark>
+                      ) : (
+                        segment.text
+                      )
+                    )}
+                  </span>
+                </button>
+              ))}
+            </div>
+          ))}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    width: '280px',
+    borderRight: '1px solid #e0e0e0',
+    display: 'flex',
+    flexDirection: 'column',
+    backgroundColor: '#f8f9fa',
+    minHeight: 0,
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '16px',
+    borderBottom: '1px solid #e0e0e0',
+    backgroundColor: '#fff',
+  },
+  input: {
+    flex: 1,
+    minWidth: 0,
+    padding: '8px 12px',
+    border: '1px solid #e0e0e0',
+    borderRadius: '18px',
+    fontSize: '14px',
+    outline: 'none',
+  },
+  closeButton: {
+    border: 'none',
+    background: 'none',
+    color: '#666',
+    fontSize: '22px',
+    lineHeight: 1,
+    cursor: 'pointer',
+  },
+  status: {
+    margin: 0,
+    padding: '10px 16px',
+    fontSize: '12px',
+    color: '#999',
+  },
+  results: {
+    flex: 1,
+    overflowY: 'auto',
+  },
+  conversationTitle: {
+    margin: 0,
+    padding: '10px 16px 4px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#666',
+    textTransform: 'uppercase',
+  },
+  result: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '2px',
+    width: '100%',
+    padding: '8px 16px',
+    backgroundColor: 'transparent',
+    border: 'none',
+    borderBottom: '1px solid #eee',
+    fontFamily: 'inherit',
+    textAlign: 'left',
+    cursor: 'pointer',
+  },
+  resultActive: {
+    backgroundColor: '#e3f2fd',
+  },
+  resultMeta: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '11px',
+    color: '#999',
+  },
+  sender: {
+    fontWeight: '600',
+    color: '#555',
+  },
+  snippet: {
+    display: '-webkit-box',
+    WebkitLineClamp: 2,
+    WebkitBoxOrient: 'vertical',
+    overflow: 'hidden',
+    fontSize: '13px',
+    color: '#333',
+    overflowWrap: 'anywhere',
+  },
+  match: {
+    backgroundColor: '#fff59d',
+    color: 'inherit',
+    borderRadius: '2px',
+  },
+};
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { authService } from '../services/authService';
+
+/**
+ * SessionExpiredModal asks for the password again when the session could not
+ * be refreshed, so the user stays on the chat page (drafts, open conversation
+ * and queued messages are kept).
+ */
+export default function SessionExpiredModal({ username, onReauthenticated, onLogout }) {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      await authService.login(username, password);
+      onReauthenticated();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Login failed. Please check your password.');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={styles.overlay} role="dialog" aria-modal="true" aria-labelledby="session-expired-title">
+      <div style={styles.card}>
+        <h2 id="session-expired-title" style={styles.title}>Session expired</h2>
+        <p style={styles.message}>
+          Your session has expired. Enter the password for <strong>{username}</strong> to continue.
+        </p>
+
+        <form onSubmit={handleSubmit} style={styles.form}>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+            autoFocus
+            style={styles.input}
+            placeholder="Password"
+          />
+
+          {error && <div style={styles.error}>{error}</div>}
+
+          <div style={styles.actions}>
+            <button type="button" onClick={onLogout} style={styles.secondaryButton}>
+              Logout
+            </button>
+            <button type="submit" disabled={loading} style={styles.button}>
+              {loading ? 'Logging in...' : 'Continue'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  overlay: {
+    position: 'fixed',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    zIndex: 1000,
+  },
+  card: {
+    backgroundColor: '#fff',
+    padding: '32px',
+    borderRadius: '12px',
+    boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+    width: '100%',
+    maxWidth: '400px',
+  },
+  title: {
+    margin: '0 0 12px',
+    color: '#333',
+    fontSize: '22px',
+    fontWeight: '600',
+  },
+  message: {
+    margin: '0 0 20px',
+    fontSize: '14px',
+    color: '#666',
+    lineHeight: '1.5',
+  },
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+  },
+  input: {
+    width: '100%',
+    padding: '12px 16px',
+    border: '1px solid #e0e0e0',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none',
+    boxSizing: 'border-box',
+    marginBottom: '16px',
+  },
+  error: {
+    padding: '12px',
+    backgroundColor: '#ffebee',
+    color: '#c62828',
+    borderRadius: '8px',
+    marginBottom: '16px',
+    fontSize: '14px',
+  },
+  actions: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    gap: '12px',
+  },
+  button: {
+    padding: '10px 20px',
+    backgroundColor: '#2196f3',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  secondaryButton: {
+    padding: '10px 20px',
+    backgroundColor: '#fff',
+    color: '#666',
+    border: '1px solid #e0e0e0',
+    borderRadius: '8px',
+    fontSize: '14px',
+    cursor: 'pointer',
+  },
+};
@@ -1,28 +1,255 @@
+import { useEffect, useRef, useState } from 'react';
+import { formatRelativeTime } from '../utils/time';
+import { toDirectConversation, toGroupConversation } from '../utils/conversations';
+import { getMessagePreviewText } from '../utils/attachments';
+
+const SORT_STORAGE_KEY = 'userListSort';
+const SORT_OPTIONS = {
+  recent: 'Recent',
+  name: 'A-Z',
+};
+
+// Start loading the next page of users this close to the end of the list
+const LOAD_MORE_THRESHOLD_PX = 200;
+
+const byName = (a, b) => a.title.localeCompare(b.title);
+
+/**
+ * Conversations with recent activity first (newest on top), the rest alphabetically.
+ * Sorting by name lists groups before users.
+ */
+const sortConversations = (conversations, summaries, sortBy) => {
+  const sorted = [...conversations];
+  if (sortBy !== 'recent') {
+    return sorted.sort((a, b) => (a.type === b.type ? byName(a, b) : a.type === 'group' ? -1 : 1));
+  }
+
+  const lastActivity = (conversation) => {
+    const timestamp = summaries[conversation.key]?.lastMessage?.timestamp;
+    return timestamp ? new Date(timestamp).getTime() : 0;
+  };
+  return sorted.sort((a, b) => lastActivity(b) - lastActivity(a) || byName(a, b));
+};
+
 /**
- * UserList component displays all available users for chat.
- * Highlights the currently selected user.
+ * UserList component is the sidebar: groups and users in one list.
+ * Highlights the selected conversation and shows an unread badge,
+ * last-message preview, relative time and (for users) presence dot for each.
+ * The search box filters groups by name and users through the server
+ * (onSearchChange); more users load when scrolling to the end of the list.
+ * Arrow keys in the search box move through the list and Enter opens the
+ * highlighted conversation.
  */
-export default function UserList({ users, selectedUser, onSelectUser }) {
+export default function UserList({
+  users,
+  groups = [],
+  summaries = {},
+  presence = {},
+  currentUserId,
+  selectedKey,
+  onSelectConversation,
+  onCreateGroup,
+  searchQuery = '',
+  onSearchChange,
+  hasMoreUsers = false,
+  loadingUsers = false,
+  usersError = false,
+  onLoadMoreUsers,
+  onRetryUsers,
+}) {
+  const [sortBy, setSortBy] = useState(() => localStorage.getItem(SORT_STORAGE_KEY) || 'recent');
+  const [now, setNow] = useState(() => Date.now());
+  const [activeIndex, setActiveIndex] = useState(-1); // keyboard position in the list
+  const listRef = useRef(null);
+  const itemRefs = useRef(new Map()); // conversation key -> element
+
+  // Keep relative timestamps fresh
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const canLoadMore = hasMoreUsers && !loadingUsers && !usersError && !!onLoadMoreUsers;
+
+  // Keep loading while the loaded users don't fill the list
+  useEffect(() => {
+    const list = listRef.current;
+    if (canLoadMore && list && list.scrollHeight <= list.clientHeight) onLoadMoreUsers();
+  });
+
+  const handleScroll = (e) => {
+    const list = e.currentTarget;
+    if (canLoadMore && list.scrollHeight - list.scrollTop - list.clientHeight < LOAD_MORE_THRESHOLD_PX) {
+      onLoadMoreUsers();
+    }
+  };
+
+  const handleSortChange = (value) => {
+    setSortBy(value);
+    localStorage.setItem(SORT_STORAGE_KEY, value);
+  };
+
+  const normalizedQuery = searchQuery.trim().toLowerCase();
+  const conversations = sortConversations(
+    [
+      ...groups.filter((group) => group.name.toLowerCase().includes(normalizedQuery)).map(toGroupConversation),
+      ...users.map(toDirectConversation),
+    ],
+    summaries,
+    sortBy
+  );
+  const active = activeIndex < conversations.length ? activeIndex : conversations.length - 1;
+
+  const handleSearchChange = (value) => {
+    setActiveIndex(value.trim() ? 0 : -1);
+    onSearchChange(value);
+  };
+
+  const moveActive = (index) => {
+    setActiveIndex(index);
+    itemRefs.current.get(conversations[index].key)?.scrollIntoView({ block: 'nearest' });
+    if (index === conversations.length - 1 && canLoadMore) onLoadMoreUsers();
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && conversations.length > 0) {
+      e.preventDefault();
+      moveActive(Math.min(active + 1, conversations.length - 1));
+    } else if (e.key === 'ArrowUp' && conversations.length > 0) {
+      e.preventDefault();
+      moveActive(Math.max(active - 1, 0));
+    } else if (e.key === 'Enter' && active >= 0) {
+      e.preventDefault();
+      onSelectConversation(conversations[active]);
+    } else if (e.key === 'Escape' && searchQuery) {
+      e.preventDefault();
+      handleSearchChange('');
+    }
+  };
+
+  const getSenderPrefix = (conversation, lastMessage) => {
+    if (lastMessage.senderId === currentUserId) return 'You: ';
+    if (conversation.type !== 'group') return '';
+    const sender = users.find((user) => user.id === lastMessage.senderId);
+    return sender ? `${sender.username}: ` : '';
+  };
+
   return (
     <div style={styles.container}>
-      <h2 style={styles.header}>Users</h2>
-      <div style={styles.userList}>
-        {users.length === 0 ? (
-          <p style={styles.emptyMessage}>No other users available</p>
-        ) : (
-          users.map((user) => (
-            <div
-              key={user.id}
-              onClick={() => onSelectUser(user)}
+      <div style={styles.header}>
+        <h2 style={styles.title}>Chats</h2>
+        <div style={styles.sortToggle}>
+          {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => handleSortChange(value)}
               style={{
-                ...styles.userItem,
-                ...(selectedUser?.id === user.id ? styles.selectedUser : {}),
+                ...styles.sortButton,
+                ...(sortBy === value ? styles.sortButtonActive : {}),
               }}
             >
-              <div style={styles.avatar}>{user.username.charAt(0).toUpperCase()}</div>
-              <span style={styles.username}>{user.username}</span>
-            </div>
-          ))
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {onSearchChange && (
+        <div style={styles.searchBox}>
+          <input
+            type="search"
+            value={searchQuery}
+            onChange={(e) => handleSearchChange(e.target.value)}
+            onKeyDown={handleSearchKeyDown}
+            placeholder="Search people and groups"
+            style={styles.searchInput}
+            role="combobox"
+            aria-label="Search people and groups"
+            aria-controls="conversation-list"
+            aria-expanded="true"
+            aria-activedescendant={active >= 0 ? `conversation-${conversations[active].key}` : undefined}
+          />
+        </div>
+      )}
+      {onCreateGroup && (
+        <button onClick={onCreateGroup} style={styles.newGroupButton}>
+          + New group
+        </button>
+      )}
+      <div ref={listRef} onScroll={handleScroll} style={styles.userList} id="conversation-list" role="listbox">
+        {conversations.length === 0 ? (
+          !loadingUsers && (
+            <p style={styles.emptyMessage}>{searchQuery ? 'No matches' : 'No other users available'}</p>
+          )
+        ) : (
+          conversations.map((conversation, index) => {
+            const summary = summaries[conversation.key];
+            const lastMessage = summary?.lastMessage;
+            const unreadCount = summary?.unreadCount || 0;
+            const userPresence = conversation.type === 'direct' ? presence[conversation.id] : null;
+
+            return (
+              <div
+                key={conversation.key}
+                ref={(element) => {
+                  if (element) itemRefs.current.set(conversation.key, element);
+                  else itemRefs.current.delete(conversation.key);
+                }}
+                id={`conversation-${conversation.key}`}
+                role="option"
+                aria-selected={selectedKey === conversation.key}
+                onClick={() => onSelectConversation(conversation)}
+                style={{
+                  ...styles.userItem,
+                  ...(selectedKey === conversation.key ? styles.selectedUser : {}),
+                  ...(index === active ? styles.activeItem : {}),
+                }}
+              >
+                <div style={{ ...styles.avatar, ...(conversation.type === 'group' ? styles.groupAvatar : {}) }}>
+                  {conversation.title.charAt(0).toUpperCase()}
+                  {userPresence && (
+                    <span
+                      title={userPresence.isOnline ? 'Online' : 'Offline'}
+                      style={{
+                        ...styles.presenceDot,
+                        backgroundColor: userPresence.isOnline ? '#4caf50' : '#bdbdbd',
+                      }}
+                    />
+                  )}
+                </div>
+                <div style={styles.details}>
+                  <div style={styles.topRow}>
+                    <span style={{ ...styles.username, ...(unreadCount > 0 ? styles.unreadText : {}) }}>
+                      {conversation.title}
+                    </span>
+                    {lastMessage && (
+                      <span style={styles.time}>{formatRelativeTime(lastMessage.timestamp, now)}</span>
+                    )}
+                  </div>
+                  <div style={styles.bottomRow}>
+                    <span style={{ ...styles.preview, ...(unreadCount > 0 ? styles.unreadText : {}) }}>
+                      {lastMessage
+                        ? `${getSenderPrefix(conversation, lastMessage)}${getMessagePreviewText(lastMessage)}`
+                        : conversation.type === 'group'
+                          ? `${conversation.group.memberIds.length} members`
+                          : 'No messages yet'}
+                    </span>
+                    {unreadCount > 0 && (
+                      <span style={styles.badge}>{unreadCount > 99 ? '99+' : unreadCount}</span>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })
+        )}
+        {loadingUsers && <p style={styles.listStatus}>Loading users...</p>}
+        {usersError && (
+          <p style={styles.listStatus}>
+            Couldn&apos;t load users.{' '}
+            <button onClick={onRetryUsers} style={styles.retryButton}>
+              Retry
+            </button>
+          </p>
         )}
       </div>
     </div>
@@ -38,12 +265,46 @@ const styles = {
     backgroundColor: '#f8f9fa',
   },
   header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
     padding: '20px',
+    borderBottom: '1px solid #e0e0e0',
+    backgroundColor: '#fff',
+  },
+  title: {
     margin: 0,
     fontSize: '20px',
     fontWeight: '600',
-    borderBottom: '1px solid #e0e0e0',
+  },
+  sortToggle: {
+    display: 'flex',
+    border: '1px solid #e0e0e0',
+    borderRadius: '6px',
+    overflow: 'hidden',
+  },
+  sortButton: {
+    padding: '4px 10px',
     backgroundColor: '#fff',
+    color: '#666',
+    border: 'none',
+    fontSize: '12px',
+    cursor: 'pointer',
+  },
+  sortButtonActive: {
+    backgroundColor: '#2196f3',
+    color: '#fff',
+  },
+  newGroupButton: {
+    margin: '10px 10px 0',
+    padding: '8px',
+    backgroundColor: '#fff',
+    color: '#2196f3',
+    border: '1px dashed #2196f3',
+    borderRadius: '8px',
+    fontSize: '13px',
+    fontWeight: '500',
+    cursor: 'pointer',
   },
   userList: {
     flex: 1,
@@ -66,6 +327,35 @@ const styles = {
     backgroundColor: '#e3f2fd',
     borderColor: '#2196f3',
   },
+  activeItem: {
+    boxShadow: '0 0 0 2px #90caf9',
+  },
+  searchBox: {
+    padding: '10px 10px 0',
+  },
+  searchInput: {
+    width: '100%',
+    padding: '8px 12px',
+    border: '1px solid #e0e0e0',
+    borderRadius: '18px',
+    fontSize: '14px',
+    outline: 'none',
+    boxSizing: 'border-box',
+  },
+  listStatus: {
+    textAlign: 'center',
+    color: '#999',
+    fontSize: '13px',
+    margin: '8px 0',
+  },
+  retryButton: {
+    border: 'none',
+    background: 'none',
+    color: '#2196f3',
+    fontSize: '13px',
+    cursor: 'pointer',
+    padding: 0,
+  },
   avatar: {
     width: '40px',
     height: '40px',
@@ -77,11 +367,73 @@ const styles = {
     justifyContent: 'center',
     fontWeight: 'bold',
     marginRight: '12px',
+    flexShrink: 0,
+    position: 'relative',
+  },
+  groupAvatar: {
+    backgroundColor: '#7e57c2',
+    borderRadius: '10px',
+  },
+  presenceDot: {
+    position: 'absolute',
+    right: '0',
+    bottom: '0',
+    width: '11px',
+    height: '11px',
+    borderRadius: '50%',
+    border: '2px solid #fff',
+  },
+  details: {
+    flex: 1,
+    minWidth: 0,
+  },
+  topRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+    gap: '8px',
+  },
+  bottomRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '8px',
+    marginTop: '2px',
   },
   username: {
     fontSize: '15px',
     fontWeight: '500',
   },
+  time: {
+    fontSize: '11px',
+    color: '#999',
+    flexShrink: 0,
+  },
+  preview: {
+    fontSize: '13px',
+    color: '#777',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  unreadText: {
+    color: '#000',
+    fontWeight: '600',
+  },
+  badge: {
+    minWidth: '20px',
+    height: '20px',
+    padding: '0 6px',
+    borderRadius: '10px',
+    backgroundColor: '#2196f3',
+    color: '#fff',
+    fontSize: '11px',
+    fontWeight: '600',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    flexShrink: 0,
+  },
   emptyMessage: {
     textAlign: 'center',
     color: '#999',
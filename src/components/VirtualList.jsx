@@ -0,0 +1,261 @@
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+
+// Extra content rendered above and below the viewport to avoid blank edges while scrolling
+const DEFAULT_OVERSCAN_PX = 600;
+// Distance from the bottom still treated as "at the bottom"
+const AT_BOTTOM_THRESHOLD_PX = 40;
+// Distance from the top that triggers onReachTop
+const REACH_TOP_THRESHOLD_PX = 80;
+
+/**
+ * Index of the row containing `position`: the largest i with offsets[i] <= position.
+ * `offsets` has one entry per row plus the total height at the end.
+ */
+const findRowIndex = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= position) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return Math.max(0, low);
+};
+
+/**
+ * One rendered row. Its ref callback only changes with the key, so React
+ * does not detach and re-observe the element on every render of the list.
+ */
+function VirtualRow({ rowKey, observeRow, children }) {
+  const measureRef = useCallback((element) => observeRow(element, rowKey), [observeRow, rowKey]);
+  return (
+    <div ref={measureRef} style={styles.row}>
+      {children}
+    </div>
+  );
+}
+
+/**
+ * VirtualList renders only the rows near the viewport of a scrolling list.
+ *
+ * FEATURES:
+ * - Variable row heights, measured with ResizeObserver (estimate until measured)
+ * - Stick-to-bottom: stays at the newest row while the user is at the bottom
+ * - Scroll anchoring: the first visible row keeps its position when rows are
+ *   prepended or rows above it change height
+ * - onReachTop callback for loading more rows (also when rows do not fill the viewport)
+ * - scrollTo: centers the row with scrollTo.key once it is in the list
+ *
+ * DESIGN DECISIONS:
+ * - Rows are identified by getKey(item); measured heights are cached by key
+ * - Rows are wrapped in a flow-root div so child margins are part of the height
+ * - Changing resetKey (e.g. another conversation) jumps back to the bottom
+ * - scrollTo is a request object; each new object is handled once, so the
+ *   parent can ask for a row before it has been loaded
+ */
+export default function VirtualList({
+  items,
+  getKey,
+  renderItem,
+  resetKey,
+  estimatedItemHeight = 72,
+  overscan = DEFAULT_OVERSCAN_PX,
+  shouldFollow,
+  onReachTop,
+  scrollTo,
+  style,
+}) {
+  const containerRef = useRef(null);
+  const [heights, setHeights] = useState(() => new Map());
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+  const atBottomRef = useRef(true);
+  const anchorRef = useRef(null); // { key, delta } of the first visible row
+  const layoutRef = useRef({ keys: [], offsets: [0], lastKey: null, resetKey: undefined });
+  const rowElementsRef = useRef(new Map()); // element -> key
+  const rowObserverRef = useRef(null);
+  const handledScrollRef = useRef(null); // last scrollTo request carried out
+
+  const keys = items.map(getKey);
+  const offsets = new Array(items.length + 1);
+  offsets[0] = 0;
+  keys.forEach((key, index) => {
+    offsets[index + 1] = offsets[index] + (heights.get(key) ?? estimatedItemHeight);
+  });
+  const totalHeight = offsets[items.length];
+
+  const start = findRowIndex(offsets, viewport.scrollTop - overscan);
+  const end = Math.min(
+    items.length,
+    findRowIndex(offsets, viewport.scrollTop + viewport.height + overscan) + 1
+  );
+
+  const captureAnchor = () => {
+    const container = containerRef.current;
+    const { keys: currentKeys, offsets: currentOffsets } = layoutRef.current;
+    if (!container || currentKeys.length === 0) {
+      anchorRef.current = null;
+      return;
+    }
+
+    const index = findRowIndex(currentOffsets, container.scrollTop);
+    anchorRef.current = { key: currentKeys[index], delta: container.scrollTop - currentOffsets[index] };
+  };
+
+  const updateViewport = () => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    setViewport((prev) =>
+      prev.scrollTop === container.scrollTop && prev.height === container.clientHeight
+        ? prev
+        : { scrollTop: container.scrollTop, height: container.clientHeight }
+    );
+  };
+
+  // Restore the scroll position after every layout change, before paint
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const prev = layoutRef.current;
+    const lastKey = keys[keys.length - 1] ?? null;
+    const isReset = prev.resetKey !== resetKey;
+    const appended = !isReset && lastKey !== prev.lastKey && lastKey !== null;
+    // Re-renders from scrolling alone must not write scrollTop (it would fight momentum scrolling)
+    const layoutChanged =
+      isReset ||
+      prev.keys.length !== keys.length ||
+      prev.keys[0] !== keys[0] ||
+      prev.lastKey !== lastKey ||
+      prev.offsets[prev.offsets.length - 1] !== totalHeight;
+
+    if (isReset) {
+      atBottomRef.current = true;
+      anchorRef.current = null;
+    }
+
+    layoutRef.current = { keys, offsets, lastKey, resetKey };
+
+    if (layoutChanged) {
+      if (atBottomRef.current || (appended && shouldFollow?.(items[items.length - 1]))) {
+        container.scrollTop = container.scrollHeight;
+        atBottomRef.current = true;
+      } else if (anchorRef.current) {
+        const index = keys.indexOf(anchorRef.current.key);
+        if (index >= 0) {
+          container.scrollTop = offsets[index] + anchorRef.current.delta;
+        }
+      }
+    }
+
+    // Center a requested row; it stays put through later measurements via the anchor
+    if (scrollTo && handledScrollRef.current !== scrollTo) {
+      const index = keys.indexOf(scrollTo.key);
+      if (index >= 0) {
+        handledScrollRef.current = scrollTo;
+        const rowHeight = offsets[index + 1] - offsets[index];
+        container.scrollTop = Math.max(0, offsets[index] - (container.clientHeight - rowHeight) / 2);
+        atBottomRef.current =
+          container.scrollHeight - container.scrollTop - container.clientHeight < AT_BOTTOM_THRESHOLD_PX;
+      }
+    }
+
+    captureAnchor();
+    updateViewport();
+  });
+
+  // Track viewport size changes (window resize, input growing)
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || typeof ResizeObserver === 'undefined') return;
+
+    const observer = new ResizeObserver(() => {
+      if (atBottomRef.current) {
+        container.scrollTop = container.scrollHeight;
+      }
+      updateViewport();
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => () => rowObserverRef.current?.disconnect(), []);
+
+  // Rows shorter than the viewport leave nothing to scroll, so ask for more directly
+  useEffect(() => {
+    if (onReachTop && items.length > 0 && viewport.height > 0 && totalHeight <= viewport.height) {
+      onReachTop();
+    }
+  }, [onReachTop, items.length, totalHeight, viewport.height]);
+
+  // Stable across renders (see VirtualRow); only touches refs and the state setter
+  const observeRow = useCallback((element, key) => {
+    if (!element) return undefined;
+
+    if (!rowObserverRef.current && typeof ResizeObserver !== 'undefined') {
+      rowObserverRef.current = new ResizeObserver((entries) => {
+        const measured = entries.map((entry) => [
+          rowElementsRef.current.get(entry.target),
+          entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight,
+        ]);
+
+        setHeights((prev) => {
+          let next = null;
+          measured.forEach(([key, height]) => {
+            if (key === undefined || prev.get(key) === height) return;
+            next = next || new Map(prev);
+            next.set(key, height);
+          });
+          return next || prev;
+        });
+      });
+    }
+
+    const observer = rowObserverRef.current;
+    rowElementsRef.current.set(element, key);
+    observer?.observe(element);
+
+    return () => {
+      observer?.unobserve(element);
+      rowElementsRef.current.delete(element);
+    };
+  }, []);
+
+  const handleScroll = () => {
+    const container = containerRef.current;
+    atBottomRef.current =
+      container.scrollHeight - container.scrollTop - container.clientHeight < AT_BOTTOM_THRESHOLD_PX;
+    captureAnchor();
+    updateViewport();
+
+    if (onReachTop && container.scrollTop < REACH_TOP_THRESHOLD_PX) {
+      onReachTop();
+    }
+  };
+
+  return (
+    <div ref={containerRef} onScroll={handleScroll} style={{ ...style, overflowAnchor: 'none' }}>
+      <div style={{ height: totalHeight, position: 'relative' }}>
+        <div style={{ transform: `translateY(${offsets[start]}px)` }}>
+          {items.slice(start, end).map((item, index) => {
+            const key = keys[start + index];
+            return (
+              <VirtualRow key={key} rowKey={key} observeRow={observeRow}>
+                {renderItem(item)}
+              </VirtualRow>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  row: {
+    display: 'flow-root',
+  },
+};
@@ -0,0 +1,6 @@
+import { createContext } from 'react';
+
+/**
+ * Current session, provided by AuthProvider and read with useAuth().
+ */
+export const AuthContext = createContext(null);
@@ -0,0 +1,86 @@
+import { useEffect, useState } from 'react';
+import { authService, AUTH_STORAGE_KEYS } from '../services/authService';
+import { encryptionService } from '../services/encryptionService';
+import { AuthContext } from './AuthContext';
+
+// setTimeout fires immediately for delays above 2^31 - 1 ms
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+const readSession = () => {
+  const user = authService.getCurrentUser();
+  return { user, isAuthenticated: !!user.token };
+};
+
+const isSameSession = (a, b) =>
+  a.user.token === b.user.token &&
+  a.user.userId === b.user.userId &&
+  a.user.username === b.user.username;
+
+/**
+ * AuthProvider makes the session reactive for the component tree.
+ *
+ * FEATURES:
+ * - Re-renders consumers on login, logout and token refresh
+ * - Syncs with other tabs through `storage` events (login or logout in one
+ *   tab applies to all)
+ * - Refreshes the access token shortly before its JWT expiry; if that fails
+ *   the session is expired (re-login prompt, or logout when none is shown)
+ * - Creates and publishes this browser's encryption keys when a user logs
+ *   in or registers (and on load, for sessions from before encryption)
+ *
+ * DESIGN DECISIONS:
+ * - authService stays the source of truth; this only mirrors it into state
+ * - The session object keeps its identity until a value changes, so
+ *   consumers depending on it do not re-run effects needlessly
+ */
+export default function AuthProvider({ children }) {
+  const [session, setSession] = useState(readSession);
+  const token = session.user.token;
+  const { userId } = session.user;
+  const { isAuthenticated } = session;
+
+  useEffect(() => {
+    const sync = () => {
+      const next = readSession();
+      setSession((prev) => (isSameSession(prev, next) ? prev : next));
+    };
+
+    const handleStorage = (event) => {
+      // key is null when another tab cleared localStorage
+      if (event.key === null || AUTH_STORAGE_KEYS.includes(event.key)) {
+        authService.syncFromStorage();
+      }
+    };
+
+    const unsubscribe = authService.onAuthChanged(sync);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, []);
+
+  // Right at login or registration (not on token refreshes), so others can
+  // encrypt to a user who has not opened the chat yet
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    encryptionService.setUp().catch((error) => console.error('Failed to set up encryption:', error));
+  }, [userId, isAuthenticated]);
+
+  // Renew (or end) the session before the access token expires
+  useEffect(() => {
+    const expiry = token ? authService.getSessionExpiry() : null;
+    if (!expiry) return undefined;
+
+    const delay = Math.min(
+      Math.max(0, expiry - Date.now() - authService.getRefreshMargin()),
+      MAX_TIMER_DELAY_MS
+    );
+    const timer = setTimeout(() => {
+      authService.getValidToken();
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [token]);
+
+  return <AuthContext.Provider value={session}>{children}</AuthContext.Provider>;
+}
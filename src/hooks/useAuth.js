@@ -0,0 +1,14 @@
+import { useContext } from 'react';
+import { AuthContext } from '../context/AuthContext';
+
+/**
+ * Current session: `{ user: { userId, username, token }, isAuthenticated }`.
+ * Must be used inside AuthProvider.
+ */
+export function useAuth() {
+  const session = useContext(AuthContext);
+  if (!session) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return session;
+}
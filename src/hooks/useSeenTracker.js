@@ -0,0 +1,91 @@
+import { useCallback, useEffect, useRef } from 'react';
+
+// Share of a message that must be on screen to count as seen
+const SEEN_THRESHOLD = 0.6;
+
+/**
+ * Reports IDs of messages that are visible on screen while the tab is visible.
+ *
+ * Returns `track(id)`, which gives the ref callback for a message element.
+ * The callback is the same on every render until the element unmounts, so
+ * React does not unobserve and observe again each time the list renders.
+ * Messages visible while the tab is hidden are reported once it becomes visible.
+ */
+export function useSeenTracker(onSeen) {
+  const onSeenRef = useRef(onSeen);
+  const trackerRef = useRef(null);
+  const refCallbacksRef = useRef(new Map()); // message ID -> ref callback
+
+  useEffect(() => {
+    onSeenRef.current = onSeen;
+  });
+
+  const getTracker = () => {
+    if (!trackerRef.current && typeof IntersectionObserver !== 'undefined') {
+      const elements = new Map(); // element -> message ID
+      const visible = new Set(); // elements currently on screen
+
+      const report = (ids) => {
+        if (ids.length > 0 && document.visibilityState === 'visible') {
+          onSeenRef.current(ids);
+        }
+      };
+
+      const observer = new IntersectionObserver(
+        (entries) => {
+          const seen = [];
+          entries.forEach((entry) => {
+            if (entry.isIntersecting) {
+              visible.add(entry.target);
+              seen.push(elements.get(entry.target));
+            } else {
+              visible.delete(entry.target);
+            }
+          });
+          report(seen);
+        },
+        { threshold: SEEN_THRESHOLD }
+      );
+
+      trackerRef.current = {
+        elements,
+        visible,
+        observer,
+        reportVisible: () => report([...visible].map((element) => elements.get(element))),
+      };
+    }
+    return trackerRef.current;
+  };
+
+  useEffect(() => {
+    const handleVisibilityChange = () => trackerRef.current?.reportVisible();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      trackerRef.current?.observer.disconnect();
+      trackerRef.current = null;
+    };
+  }, []);
+
+  return useCallback((id) => {
+    const callbacks = refCallbacksRef.current;
+    if (!callbacks.has(id)) {
+      callbacks.set(id, (element) => {
+        const tracker = getTracker();
+        if (!element || !tracker) return undefined;
+
+        tracker.elements.set(element, id);
+        tracker.observer.observe(element);
+
+        return () => {
+          tracker.observer.unobserve(element);
+          tracker.elements.delete(element);
+          tracker.visible.delete(element);
+          callbacks.delete(id);
+        };
+      });
+    }
+    return callbacks.get(id);
+  }, []);
+}
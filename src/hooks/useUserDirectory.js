@@ -0,0 +1,129 @@
+import { useEffect, useRef, useState } from 'react';
+import { userService } from '../services/userService';
+import { chatService } from '../services/chatService';
+import { compareUsers, matchesUserQuery, mergeUsers } from '../utils/users';
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * The user directory, loaded page by page from the server.
+ *
+ * Returns:
+ * - users: every user seen so far (pages, lookups, registrations), for names
+ * - results: the directory for the current query, sorted by username
+ * - query / setQuery: the search, sent to the server after a short pause
+ * - hasMore, loading, error, loadMore(), retry()
+ *
+ * Users in `requiredUserIds` (e.g. people the user has talked to) are
+ * looked up one by one if no page has brought them yet. Users announced by
+ * chatService.onUserRegistered are merged in: into the results only if they
+ * match the query and fall within the pages already loaded.
+ */
+export function useUserDirectory(currentUserId, requiredUserIds = []) {
+  const [knownUsers, setKnownUsers] = useState([]);
+  const [query, setQueryState] = useState('');
+  const [request, setRequest] = useState(() => ({ query: '', page: 1 }));
+  const [directory, setDirectory] = useState({ request: null, query: '', users: [], page: 0, hasMore: true });
+  const [failedRequest, setFailedRequest] = useState(null);
+  const timerRef = useRef(null);
+  const lookedUpIdsRef = useRef(new Set());
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  useEffect(() => {
+    let cancelled = false;
+    userService
+      .searchUsers({ query: request.query, page: request.page })
+      .then(({ users, hasMore }) => {
+        if (cancelled) return;
+        const others = users.filter((user) => user.id !== currentUserId);
+        setDirectory((prev) => ({
+          request,
+          query: request.query,
+          users: mergeUsers(request.page === 1 ? [] : prev.users, others),
+          page: request.page,
+          hasMore,
+        }));
+        setKnownUsers((prev) => mergeUsers(prev, others));
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error('Failed to load users:', error);
+        setFailedRequest(request);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [request, currentUserId]);
+
+  const knownIds = new Set(knownUsers.map((user) => user.id));
+  const missingKey = [...new Set(requiredUserIds)]
+    .filter((id) => id !== currentUserId && !knownIds.has(id))
+    .sort((a, b) => a - b)
+    .join(',');
+
+  useEffect(() => {
+    const ids = missingKey
+      ? missingKey.split(',').map(Number).filter((id) => !lookedUpIdsRef.current.has(id))
+      : [];
+    if (ids.length === 0) return;
+
+    ids.forEach((id) => lookedUpIdsRef.current.add(id));
+    Promise.allSettled(ids.map((id) => userService.getUser(id))).then((results) => {
+      const found = results.filter((result) => result.status === 'fulfilled' && result.value);
+      if (found.length > 0) {
+        setKnownUsers((prev) => mergeUsers(prev, found.map((result) => result.value)));
+      }
+    });
+  }, [missingKey]);
+
+  useEffect(
+    () =>
+      chatService.onUserRegistered((user) => {
+        if (!user || user.id === currentUserId) return;
+
+        setKnownUsers((prev) => mergeUsers(prev, [user]));
+        setDirectory((prev) => {
+          if (!matchesUserQuery(user, prev.query)) return prev;
+          // With pages still to load, a user sorting after the last loaded one comes with a later page
+          const last = prev.users[prev.users.length - 1];
+          if (prev.hasMore && last && compareUsers(user, last) > 0) return prev;
+          return { ...prev, users: mergeUsers(prev.users, [user]) };
+        });
+      }),
+    [currentUserId]
+  );
+
+  const setQuery = (value) => {
+    setQueryState(value);
+    clearTimeout(timerRef.current);
+    if (!value.trim()) {
+      setRequest({ query: '', page: 1 });
+      return;
+    }
+    timerRef.current = setTimeout(() => setRequest({ query: value, page: 1 }), SEARCH_DELAY_MS);
+  };
+
+  const error = failedRequest === request;
+  const loading = directory.request !== request && !error;
+
+  const loadMore = () => {
+    if (loading || error || !directory.hasMore || directory.query !== query) return;
+    setRequest({ query, page: directory.page + 1 });
+  };
+
+  const retry = () => setRequest({ ...request });
+
+  return {
+    users: knownUsers,
+    results: directory.users,
+    query,
+    setQuery,
+    hasMore: directory.hasMore,
+    loading,
+    error,
+    loadMore,
+    retry,
+  };
+}
@@ -1,7 +1,18 @@
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import ConfigErrorScreen from './components/ConfigErrorScreen.jsx'
+import { configService } from './services/configService'
 
-createRoot(document.getElementById('root')).render(
-  <App />,
-)
+const root = createRoot(document.getElementById('root'))
+
+// Endpoints must be resolved before anything talks to the backend
+configService
+  .load()
+  .then(() => {
+    root.render(<App />)
+  })
+  .catch((error) => {
+    console.error('Failed to load configuration:', error)
+    root.render(<ConfigErrorScreen error={error} />)
+  })
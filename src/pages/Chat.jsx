@@ -1,49 +1,299 @@
 import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { authService } from '../services/authService';
-import { userService } from '../services/userService';
+import { useAuth } from '../hooks/useAuth';
+import { useUserDirectory } from '../hooks/useUserDirectory';
 import { chatService } from '../services/chatService';
+import { conversationSummaryService } from '../services/conversationSummaryService';
+import { messageStore } from '../services/messageStore';
+import { notificationService } from '../services/notificationService';
+import { encryptionService, KEY_STATUS } from '../services/encryptionService';
+import { isMessageEntry } from '../services/outboxService';
+import { getMessagePreviewText } from '../utils/attachments';
+import { mergeUsers } from '../utils/users';
+import { attachmentService, MAX_ATTACHMENTS_PER_MESSAGE } from '../services/attachmentService';
 import UserList from '../components/UserList';
 import ChatWindow from '../components/ChatWindow';
 import MessageInput from '../components/MessageInput';
 import ConnectionStatus from '../components/ConnectionStatus';
+import SessionExpiredModal from '../components/SessionExpiredModal';
+import NotificationSettings from '../components/NotificationSettings';
+import GroupDialog from '../components/GroupDialog';
+import SearchPanel from '../components/SearchPanel';
+import ExportDialog from '../components/ExportDialog';
+import ArchiveViewer from '../components/ArchiveViewer';
+import EncryptionDialog from '../components/EncryptionDialog';
+import { archiveService } from '../services/archiveService';
+import {
+  createFocusRequest,
+  getConversationPath,
+  getGroupIdFromKey,
+  getMessageConversationKey,
+  getOutboxConversationKey,
+  getPageConversationKey,
+  isGroupKey,
+  toDirectConversation,
+  toGroupConversation,
+} from '../utils/conversations';
+
+// Give up waiting for a history page after this long
+const HISTORY_PAGE_TIMEOUT_MS = 15000;
+
+/**
+ * Conversation for `key` from the current users and groups (null if unknown).
+ */
+const findConversation = (key, users, groups) => {
+  if (key === null) return null;
+  if (isGroupKey(key)) {
+    const group = groups[getGroupIdFromKey(key)];
+    return group ? toGroupConversation(group) : null;
+  }
+  const user = users.find((u) => u.id === key);
+  return user ? toDirectConversation(user) : null;
+};
 
 /**
  * Main Chat page component.
  * 
  * FEATURES:
- * - Displays list of all users
- * - Shows conversation with selected user
+ * - Displays groups and users in one conversation list; users are searched
+ *   and paged from the server (see useUserDirectory)
+ * - Shows the selected conversation, direct or group; the open conversation
+ *   is in the URL (/chat/:userId, /chat/group/:groupId), so it can be
+ *   linked to, survives a refresh and follows the back button
+ * - Group creation and management (rename, members, leave)
+ * - File and image attachments: attach button, paste, or drop on the chat
+ *   area; uploaded from the outbox with progress and cancel
+ * - Editing and deleting own messages (queued while offline, like sends)
+ * - Replies: quote a message; clicking a quote jumps to the original,
+ *   loading older history pages until it is found
+ * - Message search across all conversations (cached first, then the server);
+ *   opening a result scrolls to and highlights the message
+ * - Opt-in end-to-end encryption per direct conversation, with a
+ *   fingerprint check (see encryptionService)
+ * - Exporting a conversation (JSON, Markdown or HTML, for a date range) and
+ *   opening JSON archives in a read-only viewer
  * - Real-time message delivery via SignalR
- * - Offline message handling (messages queued and sent on reconnect)
+ * - Optimistic sends: messages show immediately and move to sent or failed
+ * - Offline outbox (persisted, retried with backoff, shown with status)
+ * - Unread counts and last-message previews for every conversation, kept in
+ *   step across the user's tabs
+ * - Live presence (online dots, last seen)
+ * - Typing indicators in both directions
+ * - Read receipts: visible messages are reported seen; sent messages show
+ *   sent, delivered and seen markers
+ * - Desktop notifications, sound and title/favicon unread badge for
+ *   incoming messages (muting globally or per conversation)
  * - Connection status indicator
+ * - Session expiry: a re-login modal keeps the page (and drafts) instead of
+ *   redirecting to /login
+ * - Current user comes from useAuth(), so login/logout in other tabs apply here
  * 
  * DESIGN DECISIONS:
- * - Messages organized by conversation (sender/receiver pair)
- * - Auto-loads conversation history when user is selected
- * - SignalR connection established on mount
+ * - Conversations are identified by key: the other user's ID for direct
+ *   chats, "group:<id>" for groups (see utils/conversations)
+ * - Only the selected key is state; the conversation object is derived from
+ *   the current users and groups, so renames and member changes show at once
+ * - The URL leads: selecting a conversation navigates to it, and the page
+ *   follows the route's conversationKey prop (from App) when it changes
+ * - Messages organized by conversation in messageStore (all conversations
+ *   stay current, not just the open one)
+ * - Cached conversations render instantly; the latest history page is
+ *   refetched and reconciled in the background when a conversation is selected
+ * - Older pages load when scrolling to the top of the conversation
+ * - SignalR connection established on mount (one tab holds it for all tabs)
  * - Cleanup on unmount to prevent memory leaks
  */
-export default function Chat() {
-  const [users, setUsers] = useState([]);
-  const [selectedUser, setSelectedUser] = useState(null);
+export default function Chat({ conversationKey = null }) {
+  const [groups, setGroups] = useState(() => chatService.getGroups());
+  const [selectedKey, setSelectedKey] = useState(null);
   const [messages, setMessages] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [pagination, setPagination] = useState({ hasMore: false, loadingOlder: false });
+  const [outbox, setOutbox] = useState(() => chatService.getQueuedMessages());
+  const [summaries, setSummaries] = useState(() => conversationSummaryService.getSummaries());
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
+  const [presence, setPresence] = useState(() => chatService.getPresence());
+  const [typingUsers, setTypingUsers] = useState({});
+  const [expiredToken, setExpiredToken] = useState(null);
+  const [notificationSettings, setNotificationSettings] = useState(() =>
+    notificationService.getSettings()
+  );
+  const [showNotificationSettings, setShowNotificationSettings] = useState(false);
+  const [groupDialog, setGroupDialog] = useState(null); // 'create' | 'manage' | null
+  const [draftFiles, setDraftFiles] = useState([]);
+  const [attachmentError, setAttachmentError] = useState('');
+  const [dragActive, setDragActive] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState({});
+  const [replyTarget, setReplyTarget] = useState(null); // message being replied to
+  const [showSearch, setShowSearch] = useState(false);
+  const [focusRequest, setFocusRequest] = useState(null); // message to scroll to (search results)
+  const [exportOpen, setExportOpen] = useState(false);
+  const [viewedArchive, setViewedArchive] = useState(null); // { fileName, archive } or { fileName, error }
+  const [encryptionSettings, setEncryptionSettings] = useState(() => encryptionService.getSettings());
+  const [keyStatus, setKeyStatus] = useState(() => encryptionService.getKeyStatus());
+  const [showEncryption, setShowEncryption] = useState(false);
   const navigate = useNavigate();
-  const currentUser = authService.getCurrentUser();
-  const selectedUserRef = useRef(null);
+  const { user: currentUser } = useAuth();
+  // Everyone the user has a conversation with or shares a group with must have a name
+  // (and the user a link opened a chat with must be loaded to show it)
+  const directory = useUserDirectory(currentUser.userId, [
+    ...Object.keys(summaries).filter((key) => !isGroupKey(key)).map(Number),
+    ...Object.values(groups).flatMap((group) => group.memberIds),
+    ...(conversationKey !== null && !isGroupKey(conversationKey) ? [conversationKey] : []),
+  ]);
+  const users = directory.users;
+  const selectedKeyRef = useRef(null);
+  const usersRef = useRef([]);
+  const groupsRef = useRef({});
+  const selectConversationRef = useRef(null); // latest handleSelectConversation, for notification clicks
+  const closeConversationRef = useRef(null); // latest handleCloseConversation
+  const typingTargetRef = useRef(null); // conversation we last told "typing"
+  const archiveInputRef = useRef(null);
+
+  useEffect(() => {
+    selectedKeyRef.current = selectedKey;
+  }, [selectedKey]);
+
+  useEffect(() => {
+    usersRef.current = users;
+  }, [users]);
 
   useEffect(() => {
-    selectedUserRef.current = selectedUser;
-  }, [selectedUser]);
+    groupsRef.current = groups;
+  }, [groups]);
+
+  const selectedConversation = findConversation(selectedKey, users, groups);
+  const isEncrypted =
+    selectedConversation?.type === 'direct' && encryptionSettings.encryptedUserIds.includes(selectedConversation.id);
+
+  // Another tab may count a message as unread that this tab shows
+  useEffect(() => {
+    if (selectedKey !== null && document.visibilityState === 'visible' && summaries[selectedKey]?.unreadCount > 0) {
+      conversationSummaryService.markAsRead(selectedKey);
+    }
+  }, [summaries, selectedKey]);
+
+  // Title and favicon show the total unread count
+  useEffect(() => {
+    const total = Object.values(summaries).reduce((sum, summary) => sum + summary.unreadCount, 0);
+    notificationService.setUnreadCount(total);
+  }, [summaries]);
 
-  // Load users on mount
   useEffect(() => {
-    loadUsers();
+    notificationService.start();
+
+    const unsubscribeSettings = notificationService.onSettingsChanged(setNotificationSettings);
+    const unsubscribeClicks = notificationService.onNotificationClicked((conversationKey) => {
+      const conversation = findConversation(conversationKey, usersRef.current, groupsRef.current);
+      if (conversation) selectConversationRef.current?.(conversation);
+    });
+
+    // Messages that arrived while the tab was hidden are read once it is visible again
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible' && selectedKeyRef.current !== null) {
+        conversationSummaryService.markAsRead(selectedKeyRef.current);
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      unsubscribeSettings();
+      unsubscribeClicks();
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      notificationService.stop();
+    };
   }, []);
 
   // Connect to SignalR on mount
   useEffect(() => {
+    // Re-render the open conversation whenever its cache entry changes
+    const handleConversationChanged = (conversationKey) => {
+      if (selectedKeyRef.current !== conversationKey) return;
+
+      setMessages(messageStore.getMessages(conversationKey));
+      setPagination(messageStore.getPagination(conversationKey));
+      if (messageStore.isHistoryLoaded(conversationKey)) {
+        setHistoryLoading(false);
+      }
+    };
+
+    const handleMessageReceived = (message) => {
+      const conversationKey = messageStore.getConversationId(message);
+      const isActive = selectedKeyRef.current === conversationKey && document.visibilityState === 'visible';
+      const isIncoming = message.senderId !== currentUser.userId;
+
+      // Messages for other conversations (or while the tab is hidden) count as unread
+      conversationSummaryService.recordMessage(conversationKey, message, {
+        unread: !isActive && isIncoming,
+      });
+      messageStore.addMessage(message);
+
+      if (isIncoming) {
+        const senderName = usersRef.current.find((u) => u.id === message.senderId)?.username;
+        const group = isGroupKey(conversationKey) ? groupsRef.current[message.groupId] : null;
+        notificationService.notifyMessage(message, {
+          conversationKey,
+          title: group ? `${senderName || 'Someone'} in ${group.name}` : senderName,
+        });
+      }
+    };
+
+    // Confirmed sends replace their optimistic outbox entry (removed in the same tick)
+    const handleMessageSent = (message) => {
+      conversationSummaryService.recordMessage(messageStore.getConversationId(message), message);
+      messageStore.addMessage(message);
+    };
+
+    const handleConversationHistory = (conversationMessages) => {
+      // Derive the conversation from the payload so a late response for a
+      // previously selected conversation is not shown in the current one
+      const lastMessage = conversationMessages[conversationMessages.length - 1];
+      const conversationKey = lastMessage
+        ? messageStore.getConversationId(lastMessage)
+        : selectedKeyRef.current;
+      if (conversationKey === null) return;
+
+      messageStore.reconcileHistory(conversationKey, conversationMessages);
+      if (lastMessage) {
+        conversationSummaryService.recordMessage(conversationKey, lastMessage);
+      }
+    };
+
+    const handleConversationPage = (page) => {
+      const lastMessage = page.messages[page.messages.length - 1];
+      const conversationKey = getPageConversationKey(page, currentUser.userId);
+      if (conversationKey === undefined) return;
+
+      messageStore.applyPage(conversationKey, page);
+      if (lastMessage && !page.before) {
+        conversationSummaryService.recordMessage(conversationKey, lastMessage);
+      }
+    };
+
+    // Leaving or being removed from the open group closes it
+    const handleGroupsChanged = (groupMap) => {
+      setGroups(groupMap);
+      const key = selectedKeyRef.current;
+      if (isGroupKey(key) && !groupMap[getGroupIdFromKey(key)]) {
+        closeConversationRef.current?.();
+      }
+    };
+
+    const handleReceiptReceived = ({ messageIds, deliveredAt, readAt }) => {
+      messageStore.updateMessages(messageIds, readAt ? { deliveredAt, readAt } : { deliveredAt });
+    };
+
+    // Edits and deletions update the cache of whichever conversation holds the message
+    const handleMessageChanged = ({ messageId, changes }) => {
+      messageStore.updateMessages([messageId], changes);
+      conversationSummaryService.updateMessage(messageId, changes);
+    };
+
+    const handleReactionsChanged = ({ messageId, reactions }) => {
+      messageStore.updateMessages([messageId], { reactions });
+    };
+
     const initializeChat = async () => {
       try {
         // Register handlers BEFORE connecting so we don't miss messages
@@ -52,10 +302,28 @@ export default function Chat() {
         unsubscribers.push(chatService.onMessageReceived(handleMessageReceived));
         unsubscribers.push(chatService.onMessageSent(handleMessageSent));
         unsubscribers.push(chatService.onConversationHistory(handleConversationHistory));
+        unsubscribers.push(chatService.onConversationPage(handleConversationPage));
         unsubscribers.push(chatService.onConnectionStateChanged(setConnectionStatus));
-        unsubscribers.push(chatService.onUserRegistered(handleUserRegistered));
+        unsubscribers.push(chatService.onOutboxChanged(setOutbox));
+        unsubscribers.push(chatService.onPresenceChanged(setPresence));
+        unsubscribers.push(chatService.onTypingChanged(setTypingUsers));
+        unsubscribers.push(chatService.onGroupsChanged(handleGroupsChanged));
+        unsubscribers.push(chatService.onUploadProgress(setUploadProgress));
+        unsubscribers.push(chatService.onReceiptReceived(handleReceiptReceived));
+        unsubscribers.push(chatService.onMessageChanged(handleMessageChanged));
+        unsubscribers.push(chatService.onReactionsChanged(handleReactionsChanged));
+        unsubscribers.push(conversationSummaryService.onChanged(setSummaries));
+        unsubscribers.push(messageStore.onChanged(handleConversationChanged));
+        unsubscribers.push(
+          authService.onSessionExpired(() => setExpiredToken(authService.getToken()))
+        );
+        unsubscribers.push(encryptionService.onSettingsChanged(setEncryptionSettings));
+        unsubscribers.push(encryptionService.onKeyStatusChanged(setKeyStatus));
+        // Keys are set up by AuthProvider, possibly before this subscribed
+        setKeyStatus(encryptionService.getKeyStatus());
 
-        await chatService.connect(currentUser.token);
+        await messageStore.load(currentUser.userId);
+        await chatService.connect();
         setConnectionStatus(chatService.getConnectionState());
 
         return () => {
@@ -77,70 +345,326 @@ export default function Chat() {
       if (cleanupHandlers) cleanupHandlers();
       chatService.disconnect();
     };
-  }, [currentUser.token]);
+  }, [currentUser.userId]);
 
-  const handleUserRegistered = (user) => {
-    if (!user) return;
-    if (user.id === currentUser.userId) return;
+  // Show the cached conversation at once, then refresh it from the server
+  const handleSelectConversation = ({ key }) => {
+    if (key !== conversationKey) navigate(getConversationPath(key));
+    if (key !== selectedKey) setReplyTarget(null);
+    setSelectedKey(key);
+    // Read by loadUntilMessage before the next render
+    selectedKeyRef.current = key;
+    setMessages(messageStore.getMessages(key));
+    setHistoryLoading(!messageStore.isHistoryLoaded(key) && chatService.isConnected());
+    setPagination(messageStore.getPagination(key));
+    conversationSummaryService.markAsRead(key);
+    notificationService.setActiveConversation(key);
+    chatService.getConversation(key);
+  };
 
-    setUsers((prev) => {
-      if (prev.some((u) => u.id === user.id)) return prev;
-      return [...prev, user];
-    });
+  const handleCloseConversation = () => {
+    // Replace, so going back doesn't reopen a conversation that is gone
+    if (conversationKey !== null) navigate('/chat', { replace: true });
+    selectedKeyRef.current = null;
+    setSelectedKey(null);
+    setReplyTarget(null);
+    setGroupDialog(null);
+    notificationService.setActiveConversation(null);
   };
 
-  // Load conversation when user is selected
   useEffect(() => {
-    if (selectedUser) {
-      loadConversation(selectedUser.id);
+    selectConversationRef.current = handleSelectConversation;
+    closeConversationRef.current = handleCloseConversation;
+  });
+
+  // Follow the URL: on load, on back/forward, and once a linked conversation's user or group is loaded
+  useEffect(() => {
+    if (conversationKey === selectedKeyRef.current) return;
+    if (conversationKey === null) {
+      closeConversationRef.current();
+      return;
     }
-  }, [selectedUser]);
+    const conversation = findConversation(conversationKey, users, groups);
+    if (conversation) selectConversationRef.current(conversation);
+  }, [conversationKey, users, groups]);
+
+  const handleToggleMute = () => {
+    if (selectedKey === null) return;
+    notificationService.setConversationMuted(selectedKey, !notificationService.isConversationMuted(selectedKey));
+  };
+
+  const handleOpenArchive = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // the same file can be opened again
+    if (!file) return;
 
-  const loadUsers = async () => {
     try {
-      const userList = await userService.getAllUsers();
-      setUsers(userList);
+      setViewedArchive({ fileName: file.name, archive: archiveService.parseArchive(await file.text()) });
     } catch (error) {
-      console.error('Failed to load users:', error);
+      setViewedArchive({ fileName: file.name, error: error.message || 'The archive could not be read.' });
     }
   };
 
-  const loadConversation = async (userId) => {
-    setMessages([]); // Clear current messages
-    await chatService.getConversation(userId);
+  const handleGroupCreated = (group) => {
+    setGroupDialog(null);
+    if (group) handleSelectConversation(toGroupConversation(group));
+  };
+
+  const handleNotificationSettingsChange = (changes) => {
+    notificationService.updateSettings(changes);
   };
 
-  const handleMessageReceived = (message) => {
-    const activeUser = selectedUserRef.current;
+  // Resolves with whether a request for the page before the oldest cached message was sent
+  const requestOlderPage = async (key) => {
+    const { hasMore, loadingOlder } = messageStore.getPagination(key);
+    const oldest = messageStore.getOldestMessage(key);
+    if (!hasMore || loadingOlder || !oldest) return false;
 
-    // Only add to current conversation if it's relevant
-    if (
-      activeUser &&
-      (message.senderId === activeUser.id || message.receiverId === activeUser.id)
-    ) {
-      setMessages((prev) => [...prev, message]);
+    messageStore.setLoadingOlder(key, true);
+    const requested = await chatService.getConversation(key, { before: oldest.id });
+    if (!requested) {
+      messageStore.setLoadingOlder(key, false);
     }
+    return requested;
+  };
+
+  const handleLoadOlder = () => {
+    if (selectedKey === null) return;
+    requestOlderPage(selectedKey);
   };
 
-  const handleMessageSent = (message) => {
-    const activeUser = selectedUserRef.current;
+  // Resolves once the older page being loaded (or requested here) has arrived
+  const waitForOlderPage = (key) =>
+    new Promise((resolve) => {
+      let timer = null;
+      let unsubscribe = null;
+      const finish = (loaded) => {
+        clearTimeout(timer);
+        unsubscribe?.();
+        resolve(loaded);
+      };
 
-    // Add sent message to current conversation
-    if (activeUser && message.receiverId === activeUser.id) {
-      setMessages((prev) => [...prev, message]);
+      unsubscribe = messageStore.onChanged((changedKey) => {
+        if (changedKey === key && !messageStore.getPagination(key).loadingOlder) finish(true);
+      });
+      timer = setTimeout(() => finish(false), HISTORY_PAGE_TIMEOUT_MS);
+
+      if (!messageStore.getPagination(key).loadingOlder) {
+        requestOlderPage(key).then((requested) => {
+          if (!requested) finish(false);
+        });
+      }
+    });
+
+  // Resolves once the latest page of a conversation has arrived; false if it can't be loaded
+  const waitForHistory = (key) =>
+    new Promise((resolve) => {
+      if (messageStore.isHistoryLoaded(key) || !chatService.isConnected()) {
+        resolve(messageStore.isHistoryLoaded(key));
+        return;
+      }
+
+      let timer = null;
+      let unsubscribe = null;
+      const finish = (loaded) => {
+        clearTimeout(timer);
+        unsubscribe?.();
+        resolve(loaded);
+      };
+
+      unsubscribe = messageStore.onChanged((changedKey) => {
+        if (changedKey === key && messageStore.isHistoryLoaded(key)) finish(true);
+      });
+      timer = setTimeout(() => finish(false), HISTORY_PAGE_TIMEOUT_MS);
+    });
+
+  // Load history until the message is in the open conversation; false if it can't be found
+  const loadUntilMessage = async (key, messageId) => {
+    const isLoaded = () => messageStore.getMessages(key).some((message) => message.id === messageId);
+
+    if (!isLoaded()) await waitForHistory(key);
+    while (!isLoaded()) {
+      const oldest = messageStore.getOldestMessage(key);
+      if (selectedKeyRef.current !== key || !messageStore.getPagination(key).hasMore) return false;
+
+      await waitForOlderPage(key);
+      // Nothing older arrived (offline, or the request failed)
+      if (messageStore.getOldestMessage(key) === oldest) return false;
     }
+    return selectedKeyRef.current === key;
   };
 
-  const handleConversationHistory = (conversationMessages) => {
-    setMessages(conversationMessages);
+  const handleJumpToMessage = (messageId) => loadUntilMessage(selectedKeyRef.current, messageId);
+
+  const handleOpenSearchResult = async (message) => {
+    const key = getMessageConversationKey(message, currentUser.userId);
+    const conversation = findConversation(key, users, groups);
+    if (!conversation) return;
+
+    if (key !== selectedKey) handleSelectConversation(conversation);
+    if (await loadUntilMessage(key, message.id)) {
+      setFocusRequest(createFocusRequest(key, message.id));
+    }
   };
 
-  const handleSendMessage = async (content) => {
-    if (!selectedUser) return;
-    
-    await chatService.sendMessage(selectedUser.id, content);
+  // Optimistic: the message shows from the outbox immediately, so don't block the input
+  const handleSendMessage = (content) => {
+    if (!selectedConversation) return;
+
+    chatService.sendMessage(selectedConversation.key, content, {
+      files: draftFiles,
+      replyTo: replyTarget,
+      encrypt: isEncrypted,
+    });
+    setDraftFiles([]);
+    setReplyTarget(null);
+    setAttachmentError('');
+  };
+
+  // Invalid files are left out and explained; the valid ones are still attached
+  const handleAddFiles = (files) => {
+    const errors = [];
+    const accepted = files.filter((file) => {
+      const error = attachmentService.validate(file);
+      if (error) errors.push(error);
+      return !error;
+    });
+
+    const room = MAX_ATTACHMENTS_PER_MESSAGE - draftFiles.length;
+    if (accepted.length > room) {
+      errors.push(`A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments`);
+    }
+    setDraftFiles([...draftFiles, ...accepted.slice(0, Math.max(room, 0))]);
+    setAttachmentError(errors.join('. '));
+  };
+
+  const handleRemoveAttachment = (index) => {
+    setDraftFiles(draftFiles.filter((_, i) => i !== index));
+    setAttachmentError('');
+  };
+
+  const hasDraggedFiles = (e) => Array.from(e.dataTransfer.types).includes('Files');
+
+  const handleDragOver = (e) => {
+    if (!selectedConversation || !hasDraggedFiles(e)) return;
+    e.preventDefault();
+    setDragActive(true);
+  };
+
+  const handleDragLeave = (e) => {
+    // Ignore moves between children of the drop area
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setDragActive(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    setDragActive(false);
+    if (!selectedConversation || !hasDraggedFiles(e)) return;
+    e.preventDefault();
+    handleAddFiles(Array.from(e.dataTransfer.files));
+  };
+
+  // "Stopped" goes to whoever got "started", even if the selection changed since
+  const handleTyping = (isTyping) => {
+    const target = typingTargetRef.current;
+
+    if (isTyping && selectedConversation) {
+      if (target !== null && target !== selectedConversation.key) {
+        chatService.sendTypingState(target, false);
+      }
+      typingTargetRef.current = selectedConversation.key;
+      chatService.sendTypingState(selectedConversation.key, true);
+    } else if (!isTyping && target !== null) {
+      typingTargetRef.current = null;
+      chatService.sendTypingState(target, false);
+    }
+  };
+
+  // Mark locally first so a message is reported only once
+  const handleMessagesSeen = (ids) => {
+    if (!selectedConversation) return;
+
+    const { key, type } = selectedConversation;
+    const unread = ids.filter((id) => {
+      const message = messageStore.getMessage(id);
+      if (!message || message.readAt) return false;
+      return type === 'group' ? message.senderId !== currentUser.userId : message.senderId === key;
+    });
+    if (unread.length === 0) return;
+
+    messageStore.updateMessages(unread, { readAt: new Date().toISOString() });
+    chatService.markMessagesAsRead(key, unread);
+  };
+
+  // An encrypted message stays encrypted when edited
+  const handleEditMessage = (messageId, content) => {
+    const message = messages.find((m) => m.id === messageId);
+    chatService.editMessage(messageId, content, { encryptFor: message?.encrypted ? message.receiverId : null });
+  };
+
+  const handleDeleteMessage = (messageId) => {
+    chatService.deleteMessage(messageId);
+  };
+
+  // The toggle is shown at once and reverted by chatService if it fails
+  const handleReact = (message, emoji) => {
+    chatService.toggleReaction(message, emoji).catch((error) => {
+      console.error('Failed to update reaction:', error);
+    });
+  };
+
+  const handleRetryMessage = (id) => {
+    chatService.retryQueuedMessage(id);
+  };
+
+  const handleDiscardMessage = (id) => {
+    chatService.discardQueuedMessage(id);
   };
 
+  const queuedMessages = selectedConversation
+    ? outbox.filter(
+        (item) => isMessageEntry(item) && getOutboxConversationKey(item) === selectedConversation.key
+      )
+    : [];
+
+  // Queued edits and deletions by message ID; a later entry (a delete) wins
+  const pendingChanges = Object.fromEntries(
+    outbox.filter((item) => !isMessageEntry(item)).map((item) => [item.messageId, item])
+  );
+
+  const userNames = Object.fromEntries(users.map((user) => [user.id, user.username]));
+  const replyPreview = replyTarget && {
+    id: replyTarget.id,
+    senderName:
+      replyTarget.senderId === currentUser.userId
+        ? 'yourself'
+        : userNames[replyTarget.senderId] || `User ${replyTarget.senderId}`,
+    text: getMessagePreviewText(replyTarget),
+  };
+  const typingNames = selectedConversation
+    ? Object.keys(typingUsers[selectedConversation.key] || {}).map(
+        (userId) => userNames[userId] || `User ${userId}`
+      )
+    : [];
+
+  // The hub may have closed while the token was invalid
+  const handleReauthenticated = async () => {
+    setExpiredToken(null);
+    if (chatService.getConnectionState() !== 'disconnected') return;
+
+    try {
+      await chatService.connect();
+      setConnectionStatus(chatService.getConnectionState());
+    } catch (error) {
+      console.error('Failed to reconnect to chat:', error);
+      setConnectionStatus('error');
+    }
+  };
+
+  // Signing in again from another tab replaces the token and closes the prompt
+  const sessionExpired = expiredToken !== null && expiredToken === currentUser.token;
+
   const handleLogout = () => {
     chatService.disconnect();
     authService.logout();
@@ -152,6 +676,39 @@ export default function Chat() {
       <div style={styles.header}>
         <h1 style={styles.title}>Communicator</h1>
         <div style={styles.userInfo}>
+          <button
+            onClick={() => setShowSearch((open) => !open)}
+            style={styles.logoutButton}
+            aria-pressed={showSearch}
+          >
+            Search
+          </button>
+          <button onClick={() => archiveInputRef.current?.click()} style={styles.logoutButton}>
+            Open archive
+          </button>
+          <input
+            ref={archiveInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleOpenArchive}
+            style={styles.fileInput}
+          />
+          <div style={styles.settingsAnchor}>
+            <button
+              onClick={() => setShowNotificationSettings((open) => !open)}
+              style={styles.logoutButton}
+              aria-expanded={showNotificationSettings}
+            >
+              {notificationSettings.muted ? 'Notifications off' : 'Notifications'}
+            </button>
+            {showNotificationSettings && (
+              <NotificationSettings
+                settings={notificationSettings}
+                onChange={handleNotificationSettingsChange}
+                onClose={() => setShowNotificationSettings(false)}
+              />
+            )}
+          </div>
           <span style={styles.currentUsername}>{currentUser.username}</span>
           <button onClick={handleLogout} style={styles.logoutButton}>
             Logout
@@ -162,24 +719,143 @@ export default function Chat() {
       <ConnectionStatus status={connectionStatus} />
 
       <div style={styles.chatContainer}>
-        <UserList
-          users={users}
-          selectedUser={selectedUser}
-          onSelectUser={setSelectedUser}
-        />
+        {showSearch ? (
+          <SearchPanel
+            getConversationTitle={(key) => findConversation(key, users, groups)?.title}
+            userNames={userNames}
+            currentUserId={currentUser.userId}
+            onOpenResult={handleOpenSearchResult}
+            onClose={() => setShowSearch(false)}
+          />
+        ) : (
+          <UserList
+            users={
+              // Without a search, people the user has talked to are listed even before their page loads
+              directory.query
+                ? directory.results
+                : mergeUsers(directory.results, users.filter((user) => summaries[user.id]))
+            }
+            searchQuery={directory.query}
+            onSearchChange={directory.setQuery}
+            hasMoreUsers={directory.hasMore}
+            loadingUsers={directory.loading}
+            usersError={directory.error}
+            onLoadMoreUsers={directory.loadMore}
+            onRetryUsers={directory.retry}
+            groups={Object.values(groups)}
+            summaries={summaries}
+            presence={presence}
+            currentUserId={currentUser.userId}
+            selectedKey={selectedKey}
+            onSelectConversation={handleSelectConversation}
+            onCreateGroup={() => setGroupDialog('create')}
+          />
+        )}
         
-        <div style={styles.chatArea}>
+        <div
+          style={styles.chatArea}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+        >
+          {dragActive && <div style={styles.dropOverlay}>Drop files to attach</div>}
           <ChatWindow
-            selectedUser={selectedUser}
+            conversation={selectedConversation}
+            presence={selectedConversation?.type === 'direct' ? presence[selectedConversation.id] : null}
+            userNames={userNames}
+            isMuted={
+              !!selectedConversation &&
+              (selectedConversation.type === 'group'
+                ? notificationSettings.mutedGroupIds
+                : notificationSettings.mutedUserIds
+              ).includes(selectedConversation.id)
+            }
+            onToggleMute={handleToggleMute}
+            onManageGroup={() => setGroupDialog('manage')}
+            onExport={() => setExportOpen(true)}
+            isEncrypted={isEncrypted}
+            keyConflict={keyStatus === KEY_STATUS.CONFLICT}
+            onShowEncryption={() => setShowEncryption(true)}
+            typingNames={typingNames}
             messages={messages}
+            loading={historyLoading}
+            hasMore={pagination.hasMore}
+            loadingOlder={pagination.loadingOlder}
+            onLoadOlder={handleLoadOlder}
+            onMessagesSeen={handleMessagesSeen}
+            queuedMessages={queuedMessages}
+            uploadProgress={uploadProgress}
+            pendingChanges={pendingChanges}
+            onEditMessage={handleEditMessage}
+            onDeleteMessage={handleDeleteMessage}
+            onReact={handleReact}
+            onReply={setReplyTarget}
+            onJumpToMessage={handleJumpToMessage}
+            focusRequest={focusRequest}
             currentUserId={currentUser.userId}
+            onRetryMessage={handleRetryMessage}
+            onDiscardMessage={handleDiscardMessage}
           />
           <MessageInput
             onSendMessage={handleSendMessage}
-            disabled={!selectedUser}
+            onTyping={handleTyping}
+            disabled={!selectedConversation}
+            attachments={draftFiles}
+            attachmentError={attachmentError}
+            onAddFiles={handleAddFiles}
+            onRemoveAttachment={handleRemoveAttachment}
+            replyTo={replyPreview}
+            onCancelReply={() => setReplyTarget(null)}
           />
         </div>
       </div>
+
+      {groupDialog && (
+        <GroupDialog
+          group={groupDialog === 'manage' ? selectedConversation?.group : null}
+          users={users}
+          currentUserId={currentUser.userId}
+          onCreated={handleGroupCreated}
+          onLeft={() => setGroupDialog(null)}
+          onClose={() => setGroupDialog(null)}
+        />
+      )}
+
+      {exportOpen && selectedConversation && (
+        <ExportDialog
+          conversation={selectedConversation}
+          currentUser={currentUser}
+          userNames={userNames}
+          onClose={() => setExportOpen(false)}
+        />
+      )}
+
+      {showEncryption && selectedConversation?.type === 'direct' && (
+        <EncryptionDialog
+          key={selectedConversation.key}
+          conversation={selectedConversation}
+          settings={encryptionSettings}
+          keyStatus={keyStatus}
+          onClose={() => setShowEncryption(false)}
+        />
+      )}
+
+      {viewedArchive && (
+        <ArchiveViewer
+          archive={viewedArchive.archive}
+          error={viewedArchive.error}
+          fileName={viewedArchive.fileName}
+          onClose={() => setViewedArchive(null)}
+        />
+      )}
+
+      {sessionExpired && (
+        <SessionExpiredModal
+          username={currentUser.username}
+          onReauthenticated={handleReauthenticated}
+          onLogout={handleLogout}
+        />
+      )}
     </div>
   );
 }
@@ -210,6 +886,9 @@ const styles = {
     alignItems: 'center',
     gap: '16px',
   },
+  settingsAnchor: {
+    position: 'relative',
+  },
   currentUsername: {
     fontSize: '14px',
     fontWeight: '500',
@@ -224,6 +903,9 @@ const styles = {
     cursor: 'pointer',
     transition: 'background-color 0.2s',
   },
+  fileInput: {
+    display: 'none',
+  },
   chatContainer: {
     flex: 1,
     display: 'flex',
@@ -231,9 +913,24 @@ const styles = {
     minHeight: 0,
   },
   chatArea: {
+    position: 'relative',
     flex: 1,
     display: 'flex',
     flexDirection: 'column',
     minHeight: 0,
   },
+  dropOverlay: {
+    position: 'absolute',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(33, 150, 243, 0.12)',
+    border: '2px dashed #2196f3',
+    color: '#1976d2',
+    fontSize: '18px',
+    fontWeight: '600',
+    pointerEvents: 'none',
+    zIndex: 10,
+  },
 };
@@ -1,10 +1,12 @@
 import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { authService } from '../services/authService';
+import EnvironmentPicker from '../components/EnvironmentPicker';
 
 /**
  * Login page component.
- * Handles user authentication and redirects to chat on success.
+ * Handles user authentication and redirects on success: back to the page
+ * that required signing in (state.from, set by ProtectedRoute), else to chat.
  */
 export default function Login() {
   const [username, setUsername] = useState('');
@@ -12,6 +14,7 @@ export default function Login() {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
+  const location = useLocation();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -20,7 +23,7 @@ export default function Login() {
 
     try {
       await authService.login(username, password);
-      navigate('/chat');
+      navigate(location.state?.from || '/chat', { replace: true });
     } catch (err) {
       setError(err.response?.data?.message || 'Login failed. Please check your credentials.');
     } finally {
@@ -33,6 +36,8 @@ export default function Login() {
       <div style={styles.card}>
         <h1 style={styles.title}>Communicator</h1>
         <h2 style={styles.subtitle}>Login</h2>
+
+        <EnvironmentPicker />
         
         <form onSubmit={handleSubmit} style={styles.form}>
           <div style={styles.inputGroup}>
@@ -67,7 +72,7 @@ export default function Login() {
         </form>
 
         <p style={styles.linkText}>
-          Don't have an account? <Link to="/register" style={styles.link}>Register</Link>
+          Don't have an account? <Link to="/register" state={location.state} style={styles.link}>Register</Link>
         </p>
       </div>
     </div>
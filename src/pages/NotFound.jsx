@@ -0,0 +1,66 @@
+import { Link } from 'react-router-dom';
+
+/**
+ * Not found page component.
+ * Shown for any URL the app doesn't know, including chat URLs that don't
+ * name a conversation. The link goes to "/", which picks chat or login.
+ */
+export default function NotFound() {
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <h1 style={styles.title}>Communicator</h1>
+        <h2 style={styles.subtitle}>Page not found</h2>
+        <p style={styles.text}>There is nothing at this address. The link may be mistyped or out of date.</p>
+        <Link to="/" style={styles.button}>
+          Go to the app
+        </Link>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+  card: {
+    backgroundColor: '#fff',
+    padding: '40px',
+    borderRadius: '12px',
+    boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+    width: '100%',
+    maxWidth: '400px',
+    textAlign: 'center',
+  },
+  title: {
+    color: '#2196f3',
+    marginBottom: '8px',
+    fontSize: '32px',
+  },
+  subtitle: {
+    color: '#333',
+    marginBottom: '16px',
+    fontSize: '24px',
+    fontWeight: '400',
+  },
+  text: {
+    marginBottom: '32px',
+    fontSize: '14px',
+    color: '#666',
+  },
+  button: {
+    display: 'block',
+    padding: '14px',
+    backgroundColor: '#2196f3',
+    color: '#fff',
+    borderRadius: '8px',
+    fontSize: '16px',
+    fontWeight: '600',
+    textDecoration: 'none',
+  },
+};
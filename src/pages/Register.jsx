@@ -1,10 +1,11 @@
 import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { authService } from '../services/authService';
 
 /**
  * Register page component.
- * Handles new user registration and redirects to chat on success.
+ * Handles new user registration and redirects on success, like Login: to
+ * the page that required signing in, if any, else to chat.
  */
 export default function Register() {
   const [username, setUsername] = useState('');
@@ -13,6 +14,7 @@ export default function Register() {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
+  const location = useLocation();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -32,7 +34,7 @@ export default function Register() {
 
     try {
       await authService.register(username, password);
-      navigate('/chat');
+      navigate(location.state?.from || '/chat', { replace: true });
     } catch (err) {
       setError(err.response?.data?.message || 'Registration failed. Username may already exist.');
     } finally {
@@ -91,7 +93,7 @@ export default function Register() {
         </form>
 
         <p style={styles.linkText}>
-          Already have an account? <Link to="/login" style={styles.link}>Login</Link>
+          Already have an account? <Link to="/login" state={location.state} style={styles.link}>Login</Link>
         </p>
       </div>
     </div>
@@ -1,27 +1,31 @@
 import axios from 'axios';
+import { configService } from './configService';
+import { authService } from './authService';
 
 /**
  * Base API configuration with axios.
  * 
  * FEATURES:
  * - Automatic JWT token injection via interceptor
- * - Base URL configuration for backend API
+ * - Base URL resolved per request from configService (environment switching)
  * - Error handling
+ * - 401 responses refresh the session once and replay the request; if the
+ *   refresh fails, authService notifies listeners instead of reloading the page
+ *   (requests made with `skipAuthRefresh: true` are never retried)
  */
 
-const API_BASE_URL = 'https://appcommunication.musasoftservices.com/api';
-
 const api = axios.create({
-  baseURL: API_BASE_URL,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
-// Request interceptor: Add JWT token to all requests
+// Request interceptor: Resolve base URL and add JWT token to all requests
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('token');
+    config.baseURL = configService.getApiBaseUrl();
+
+    const token = authService.getToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -32,18 +36,30 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor: Handle authentication errors
+// Response interceptor: Refresh the session on 401 and replay the request
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid - clear auth and redirect to login
-      localStorage.removeItem('token');
-      localStorage.removeItem('userId');
-      localStorage.removeItem('username');
-      window.location.href = '/login';
+  async (error) => {
+    const request = error.config;
+    if (error.response?.status !== 401 || !request || request.skipAuthRefresh || request._retried) {
+      return Promise.reject(error);
+    }
+
+    request._retried = true;
+    try {
+      // Another request may already have refreshed the token this one was sent with
+      const sentToken = request.headers?.Authorization?.replace('Bearer ', '');
+      const currentToken = authService.getToken();
+      const token =
+        currentToken && currentToken !== sentToken ? currentToken : await authService.refreshSession();
+
+      request.headers.Authorization = `Bearer ${token}`;
+      return api(request);
+    } catch (refreshError) {
+      console.error('Session refresh failed:', refreshError);
+      authService.expireSession();
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
@@ -0,0 +1,344 @@
+import { chatService } from './chatService';
+import { attachmentService } from './attachmentService';
+import { getMessagePreviewText } from '../utils/attachments';
+import { parseMessage } from '../utils/formatMessage';
+
+/**
+ * Conversation archives: transcripts for export, and JSON archives that can
+ * be opened again in a read-only viewer.
+ *
+ * FEATURES:
+ * - Pages through the conversation's history on the server (not just what
+ *   is loaded), back to the start of the chosen date range
+ * - JSON (lossless, re-importable), Markdown and standalone HTML
+ * - Validation of imported JSON archives
+ *
+ * DESIGN DECISIONS:
+ * - A JSON archive keeps the messages exactly as the server sent them, with
+ *   attachment URLs made absolute so links work outside this environment
+ * - Participants' names are stored in the archive, so the viewer needs no
+ *   access to the user directory
+ * - HTML is built from the same parse as the chat (utils/formatMessage) and
+ *   every piece of text is escaped; links are only ever http(s)
+ */
+
+export const ARCHIVE_FORMAT = 'communicator-archive';
+export const ARCHIVE_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON (can be opened again)', extension: 'json', type: 'application/json' },
+  markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown' },
+  html: { label: 'HTML page', extension: 'html', type: 'text/html' },
+};
+
+const toTime = (message) => new Date(message.timestamp).getTime();
+
+// Shape checks for imported archives; the viewer renders these fields as they are
+const isOptionalString = (value) => value == null || typeof value === 'string';
+const isDateString = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+const isOptionalDateString = (value) => value == null || isDateString(value);
+const isValidRange = (range) =>
+  typeof range === 'object' && range !== null && isOptionalDateString(range.from) && isOptionalDateString(range.to);
+const isOptionalArrayOf = (value, isValid) => value == null || (Array.isArray(value) && value.every(isValid));
+const isValidParticipant = (participant) => participant?.id !== undefined && typeof participant.username === 'string';
+const isValidAttachment = (attachment) => typeof attachment?.fileName === 'string' && isOptionalString(attachment.url);
+const isValidReaction = (reaction) => typeof reaction?.emoji === 'string' && Array.isArray(reaction.userIds);
+const isValidMessage = (message) =>
+  !!message &&
+  message.id !== undefined &&
+  !Number.isNaN(toTime(message)) &&
+  isOptionalString(message.content) &&
+  isOptionalArrayOf(message.attachments, isValidAttachment) &&
+  isOptionalArrayOf(message.reactions, isValidReaction) &&
+  (!message.replyTo || isOptionalString(message.replyTo.content));
+
+const formatDateTime = (timestamp) =>
+  new Date(timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString([], { dateStyle: 'medium' });
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const renderNodesToHtml = (nodes) =>
+  nodes
+    .map((node) => {
+      switch (node.type) {
+        case 'bold':
+          return `<strong>${renderNodesToHtml(node.children)}</strong>`;
+        case 'italic':
+          return `<em>${renderNodesToHtml(node.children)}</em>`;
+        case 'code':
+          return `<code>${escapeHtml(node.text)}</code>`;
+        case 'codeBlock':
+          return `<pre><code>${escapeHtml(node.text)}</code></pre>`;
+        case 'link':
+          return `<a href="${escapeHtml(node.href)}" rel="noopener noreferrer">${escapeHtml(node.text)}</a>`;
+        default:
+          return escapeHtml(node.text);
+      }
+    })
+    .join('');
+
+const HTML_STYLES = `
+  body { margin: 0 auto; max-width: 760px; padding: 24px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #222; background: #f5f5f5; }
+  header { margin-bottom: 24px; }
+  h1 { margin: 0 0 4px; font-size: 22px; }
+  .meta { color: #777; font-size: 13px; }
+  .message { margin: 8px 0; padding: 10px 14px; background: #fff; border: 1px solid #e0e0e0; border-radius: 10px; }
+  .sender { font-weight: 600; font-size: 13px; }
+  .time { color: #999; font-size: 12px; margin-left: 8px; }
+  .content { margin-top: 4px; white-space: pre-wrap; overflow-wrap: anywhere; }
+  .quote { margin-top: 4px; padding: 4px 8px; border-left: 3px solid #2196f3; background: #f5f5f5; font-size: 12px; color: #555; }
+  .deleted { color: #999; font-style: italic; }
+  .attachments { margin-top: 6px; font-size: 13px; }
+  .reactions { margin-top: 6px; font-size: 12px; color: #555; }
+  code { padding: 1px 4px; background: rgba(0, 0, 0, 0.06); border-radius: 4px; }
+  pre { padding: 8px 10px; background: rgba(0, 0, 0, 0.06); border-radius: 6px; overflow-x: auto; white-space: pre; }
+`;
+
+class ArchiveService {
+  /**
+   * Messages of a conversation from the server, oldest first, within
+   * [from, to] (Dates; null for no limit). onProgress receives the number
+   * of messages loaded so far; isCancelled() stops paging between pages.
+   */
+  async collectMessages(conversationKey, { from = null, to = null, onProgress, isCancelled } = {}) {
+    const collected = new Map();
+    let before = null;
+
+    for (;;) {
+      const page = await chatService.fetchConversationPage(conversationKey, { before });
+      if (isCancelled?.()) return null;
+
+      page.messages.forEach((message) => collected.set(message.id, message));
+      onProgress?.(collected.size);
+
+      const oldest = page.messages.reduce(
+        (min, message) => (!min || toTime(message) < toTime(min) ? message : min),
+        null
+      );
+      if (!page.hasMore || !oldest || (from && toTime(oldest) < from.getTime())) break;
+      before = oldest.id;
+    }
+
+    return [...collected.values()]
+      .filter((message) => (!from || toTime(message) >= from.getTime()) && (!to || toTime(message) <= to.getTime()))
+      .sort((a, b) => toTime(a) - toTime(b));
+  }
+
+  /**
+   * Build an archive. `participants` maps user IDs to names.
+   */
+  createArchive({ conversation, messages, participants, exportedBy, from = null, to = null }) {
+    const senderIds = new Set(messages.map((message) => message.senderId));
+    (conversation.group?.memberIds || []).forEach((id) => senderIds.add(id));
+
+    return {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      exportedBy,
+      conversation: {
+        key: conversation.key,
+        type: conversation.type,
+        title: conversation.title,
+      },
+      range: {
+        from: from ? from.toISOString() : null,
+        to: to ? to.toISOString() : null,
+      },
+      participants: [...senderIds].map((id) => ({ id, username: participants[id] || `User ${id}` })),
+      messages: messages.map((message) =>
+        message.attachments?.length
+          ? {
+              ...message,
+              attachments: message.attachments.map((attachment) => ({
+                ...attachment,
+                url: attachmentService.getUrl(attachment),
+              })),
+            }
+          : message
+      ),
+    };
+  }
+
+  /**
+   * The archive as file content in one of EXPORT_FORMATS.
+   */
+  serialize(archive, format) {
+    switch (format) {
+      case 'markdown':
+        return this.toMarkdown(archive);
+      case 'html':
+        return this.toHtml(archive);
+      default:
+        return JSON.stringify(archive, null, 2);
+    }
+  }
+
+  getFileName(archive, format) {
+    const title =
+      archive.conversation.title.replace(/[^\p{L}\p{N}_-]+/gu, '-').replace(/^-+|-+$/g, '') || 'conversation';
+    const date = archive.exportedAt.slice(0, 10);
+    return `${title}-${date}.${EXPORT_FORMATS[format].extension}`;
+  }
+
+  describeRange(archive) {
+    const { from, to } = archive.range;
+    if (from && to) return `${formatDate(from)} – ${formatDate(to)}`;
+    if (from) return `Since ${formatDate(from)}`;
+    if (to) return `Until ${formatDate(to)}`;
+    return 'All messages';
+  }
+
+  toMarkdown(archive) {
+    const names = this.getParticipantNames(archive);
+    const byId = new Map(archive.messages.map((message) => [message.id, message]));
+    const lines = [
+      `# ${archive.conversation.title}`,
+      '',
+      `${this.describeRange(archive)} · ${archive.messages.length} messages · exported ${formatDateTime(archive.exportedAt)} by ${archive.exportedBy.username}`,
+    ];
+
+    archive.messages.forEach((message) => {
+      lines.push(
+        '',
+        `**${names(message.senderId)}** — ${formatDateTime(message.timestamp)}${message.editedAt ? ' (edited)' : ''}`,
+        ''
+      );
+
+      const quoted = message.replyToId ? byId.get(message.replyToId) || message.replyTo : null;
+      if (message.replyToId) {
+        lines.push(
+          `> ${quoted ? `${names(quoted.senderId)}: ${getMessagePreviewText(quoted).replace(/\n/g, ' ')}` : 'Reply'}`,
+          ''
+        );
+      }
+
+      if (message.deletedAt) {
+        lines.push('_This message was deleted_');
+        return;
+      }
+      if (message.content) lines.push(message.content);
+      (message.attachments || []).forEach((attachment) => {
+        const name = attachment.fileName.replace(/[[\]]/g, '\\$&');
+        const url = attachmentService.getUrl(attachment);
+        lines.push(url ? `- [${name}](<${url}>)` : `- ${name}`);
+      });
+      if (message.reactions?.length) {
+        lines.push('', message.reactions.map(({ emoji, userIds }) => `${emoji} ${userIds.length}`).join('  '));
+      }
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  toHtml(archive) {
+    const names = this.getParticipantNames(archive);
+    const byId = new Map(archive.messages.map((message) => [message.id, message]));
+
+    const messages = archive.messages
+      .map((message) => {
+        const quoted = message.replyToId ? byId.get(message.replyToId) || message.replyTo : null;
+        const parts = [
+          `<div class="message">`,
+          `<span class="sender">${escapeHtml(names(message.senderId))}</span>`,
+          `<span class="time">${escapeHtml(formatDateTime(message.timestamp))}${message.editedAt ? ' · edited' : ''}</span>`,
+        ];
+        if (message.replyToId) {
+          parts.push(
+            `<div class="quote">${quoted ? `${escapeHtml(names(quoted.senderId))}: ${escapeHtml(getMessagePreviewText(quoted))}` : 'Reply'}</div>`
+          );
+        }
+        if (message.deletedAt) {
+          parts.push('<div class="content deleted">This message was deleted</div>');
+        } else {
+          if (message.content) {
+            parts.push(`<div class="content">${renderNodesToHtml(parseMessage(message.content))}</div>`);
+          }
+          if (message.attachments?.length) {
+            const links = message.attachments.map((attachment) => {
+              const url = attachmentService.getUrl(attachment);
+              return url
+                ? `<a href="${escapeHtml(url)}" rel="noopener noreferrer">${escapeHtml(attachment.fileName)}</a>`
+                : escapeHtml(attachment.fileName);
+            });
+            parts.push(`<div class="attachments">${links.join(' · ')}</div>`);
+          }
+          if (message.reactions?.length) {
+            const reactions = message.reactions.map(({ emoji, userIds }) => `${escapeHtml(emoji)} ${userIds.length}`);
+            parts.push(`<div class="reactions">${reactions.join(' ')}</div>`);
+          }
+        }
+        parts.push('</div>');
+        return parts.join('');
+      })
+      .join('\n');
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(archive.conversation.title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(archive.conversation.title)}</h1>
+<div class="meta">${escapeHtml(this.describeRange(archive))} · ${archive.messages.length} messages · exported ${escapeHtml(formatDateTime(archive.exportedAt))} by ${escapeHtml(archive.exportedBy.username)}</div>
+</header>
+${messages}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Read a JSON archive. Throws an Error with a readable message if the
+   * file is not a valid archive.
+   */
+  parseArchive(text) {
+    let archive;
+    try {
+      archive = JSON.parse(text);
+    } catch {
+      throw new Error('This file is not a JSON archive.');
+    }
+
+    if (archive?.format !== ARCHIVE_FORMAT) {
+      throw new Error('This file is not a conversation archive.');
+    }
+    if (typeof archive.version !== 'number' || archive.version > ARCHIVE_VERSION) {
+      throw new Error('This archive was made by a newer version of the app.');
+    }
+    const valid =
+      typeof archive.conversation?.title === 'string' &&
+      typeof archive.exportedBy?.username === 'string' &&
+      isDateString(archive.exportedAt) &&
+      isValidRange(archive.range) &&
+      Array.isArray(archive.participants) &&
+      archive.participants.every(isValidParticipant) &&
+      Array.isArray(archive.messages) &&
+      archive.messages.every(isValidMessage);
+    if (!valid) {
+      throw new Error('This archive is damaged.');
+    }
+
+    return archive;
+  }
+
+  getParticipantNames(archive) {
+    const names = new Map(archive.participants.map(({ id, username }) => [id, username]));
+    return (userId) => names.get(userId) || `User ${userId}`;
+  }
+}
+
+// Export singleton instance
+export const archiveService = new ArchiveService();
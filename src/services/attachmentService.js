@@ -0,0 +1,95 @@
+import api from './api';
+import { configService } from './configService';
+import { formatFileSize } from '../utils/attachments';
+
+/**
+ * Attachment service for uploading message files.
+ *
+ * FEATURES:
+ * - Size and type checks before anything is queued
+ * - Multipart upload through the api client (auth, token refresh)
+ * - Upload progress and cancellation (AbortSignal)
+ * - Resolves server URLs against the active API environment; anything that
+ *   is not http(s) or blob: (e.g. javascript:) resolves to no URL at all
+ *
+ * DESIGN DECISIONS:
+ * - Files are uploaded first (POST /attachments) and the message only
+ *   carries the returned metadata: { id, fileName, contentType, size, url }
+ * - The server is expected to return URLs that work without the
+ *   Authorization header (e.g. signed), so <img> and download links can use them
+ */
+
+export const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+export const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+
+const ALLOWED_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+];
+
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'blob:'];
+
+// For the file picker; the type check above is what counts
+export const ATTACHMENT_ACCEPT = ALLOWED_TYPES.join(',');
+
+export const attachmentService = {
+  /**
+   * Returns an error message if the file cannot be attached, otherwise null.
+   */
+  validate(file) {
+    if (!ALLOWED_TYPES.includes(file.type)) {
+      return `${file.name}: this file type is not supported`;
+    }
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      return `${file.name}: files can be at most ${formatFileSize(MAX_ATTACHMENT_SIZE)}`;
+    }
+    if (file.size === 0) {
+      return `${file.name}: the file is empty`;
+    }
+    return null;
+  },
+
+  /**
+   * Upload one file. Resolves with the attachment metadata.
+   * onProgress receives (loadedBytes, totalBytes); abort through `signal`.
+   */
+  async upload(file, { fileName = file.name, onProgress, signal } = {}) {
+    const formData = new FormData();
+    formData.append('file', file, fileName);
+
+    const response = await api.post('/attachments', formData, {
+      // Replaces the JSON default; the browser adds the multipart boundary
+      headers: { 'Content-Type': 'multipart/form-data' },
+      signal,
+      onUploadProgress: (event) => onProgress?.(event.loaded, event.total || file.size),
+    });
+    return response.data;
+  },
+
+  /**
+   * Absolute URL of an uploaded attachment, or null if it has none that is
+   * safe to link (callers then show just the file name).
+   */
+  getUrl(attachment) {
+    if (!attachment?.url) return null;
+    try {
+      const base = new URL(configService.getApiBaseUrl(), window.location.href);
+      const url = new URL(attachment.url, base);
+      return SAFE_URL_PROTOCOLS.includes(url.protocol) ? url.toString() : null;
+    } catch {
+      return null;
+    }
+  },
+};
@@ -1,49 +1,196 @@
 import api from './api';
+import { getTokenExpiry } from '../utils/jwt';
 
 /**
  * Authentication service for register and login operations.
  * Stores JWT token and user info in localStorage.
- * 
+ *
+ * SESSION REFRESH:
+ * - Login/register store a refresh token alongside the access token
+ * - refreshSession() shares one in-flight refresh between all callers,
+ *   so concurrent 401s trigger a single /auth/refresh request
+ * - Tabs refresh one at a time under a Web Lock; a tab that gets the lock
+ *   after another tab refreshed uses the token that tab stored instead of
+ *   sending the (rotated, now invalid) refresh token again
+ * - When refresh fails the session is marked expired and listeners
+ *   (the re-login modal) are notified; credentials are kept so the
+ *   user can sign in again without losing the open conversation
+ *
+ * CHANGE NOTIFICATIONS:
+ * - onAuthChanged() fires after login, register, refresh and logout in this tab;
+ *   AuthProvider also calls syncFromStorage() when another tab changes them
+ *
  * SECURITY NOTE:
  * - localStorage is used for simplicity (demo only)
  * - Production should consider httpOnly cookies or more secure storage
  */
 
+// Refresh this long before the access token expires
+const TOKEN_EXPIRY_MARGIN_MS = 30 * 1000;
+// Web Lock held while refreshing, shared by all tabs of this origin
+const REFRESH_LOCK_NAME = 'communicator-auth-refresh';
+
+let refreshPromise = null;
+let sessionExpiredCallbacks = [];
+let authChangedCallbacks = [];
+
+const notifyAuthChanged = () => {
+  authChangedCallbacks.forEach((callback) => callback());
+};
+
+const storeSession = ({ token, refreshToken, userId, username }) => {
+  if (token) localStorage.setItem('token', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+  if (userId !== undefined) localStorage.setItem('userId', userId.toString());
+  if (username) localStorage.setItem('username', username);
+  notifyAuthChanged();
+};
+
+// Refresh unless another tab already replaced `staleToken`
+const refreshStoredSession = async (staleToken) => {
+  const currentToken = localStorage.getItem('token');
+  if (currentToken && currentToken !== staleToken) {
+    return currentToken;
+  }
+
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token available');
+  }
+
+  const response = await api.post('/auth/refresh', { refreshToken }, { skipAuthRefresh: true });
+  storeSession(response.data);
+  return response.data.token;
+};
+
+// localStorage keys holding the session (watched for changes from other tabs)
+export const AUTH_STORAGE_KEYS = ['token', 'refreshToken', 'userId', 'username'];
+
 export const authService = {
   async register(username, password) {
-    const response = await api.post('/auth/register', { username, password });
-    const { token, userId, username: userName } = response.data;
-    
+    const response = await api.post('/auth/register', { username, password }, { skipAuthRefresh: true });
+
     // Store authentication data
-    localStorage.setItem('token', token);
-    localStorage.setItem('userId', userId.toString());
-    localStorage.setItem('username', userName);
-    
+    storeSession(response.data);
+
     return response.data;
   },
 
   async login(username, password) {
-    const response = await api.post('/auth/login', { username, password });
-    const { token, userId, username: userName } = response.data;
-    
+    const response = await api.post('/auth/login', { username, password }, { skipAuthRefresh: true });
+
     // Store authentication data
-    localStorage.setItem('token', token);
-    localStorage.setItem('userId', userId.toString());
-    localStorage.setItem('username', userName);
-    
+    storeSession(response.data);
+
     return response.data;
   },
 
+  /**
+   * Exchange the refresh token for a new access token.
+   * Concurrent calls share the same request, and only one tab refreshes at
+   * a time (the others pick up its token). Resolves with the new token.
+   */
+  refreshSession() {
+    if (!refreshPromise) {
+      const staleToken = localStorage.getItem('token');
+      const refresh =
+        typeof navigator !== 'undefined' && navigator.locks
+          ? navigator.locks.request(REFRESH_LOCK_NAME, () => refreshStoredSession(staleToken))
+          : refreshStoredSession(staleToken);
+      refreshPromise = refresh.finally(() => {
+        refreshPromise = null;
+      });
+    }
+
+    return refreshPromise;
+  },
+
+  /**
+   * Current access token, refreshed first if it is about to expire.
+   * Used by the hub's accessTokenFactory so reconnects never reuse a stale token.
+   */
+  async getValidToken() {
+    const token = this.getToken();
+    const expiry = getTokenExpiry(token);
+    if (!token || !expiry || expiry - Date.now() > TOKEN_EXPIRY_MARGIN_MS) {
+      return token;
+    }
+
+    try {
+      return await this.refreshSession();
+    } catch (error) {
+      console.error('Token refresh failed:', error);
+      this.expireSession();
+      return token;
+    }
+  },
+
+  /**
+   * Notify listeners that the session could not be refreshed.
+   * Without a listener (no re-login prompt on screen) the user is logged out.
+   */
+  expireSession() {
+    if (sessionExpiredCallbacks.length === 0) {
+      this.logout();
+      return;
+    }
+    sessionExpiredCallbacks.forEach((callback) => callback());
+  },
+
+  /**
+   * Access token expiry in milliseconds since the epoch, or null if unknown.
+   */
+  getSessionExpiry() {
+    return getTokenExpiry(this.getToken());
+  },
+
+  /**
+   * Time before expiry at which the access token should be refreshed.
+   */
+  getRefreshMargin() {
+    return TOKEN_EXPIRY_MARGIN_MS;
+  },
+
+  /**
+   * Register callback for login/logout/token changes.
+   */
+  onAuthChanged(callback) {
+    authChangedCallbacks.push(callback);
+    return () => {
+      authChangedCallbacks = authChangedCallbacks.filter((c) => c !== callback);
+    };
+  },
+
+  /**
+   * Re-read the session after another tab changed it.
+   */
+  syncFromStorage() {
+    notifyAuthChanged();
+  },
+
+  /**
+   * Register callback for session expiry (refresh failed).
+   */
+  onSessionExpired(callback) {
+    sessionExpiredCallbacks.push(callback);
+    return () => {
+      sessionExpiredCallbacks = sessionExpiredCallbacks.filter((c) => c !== callback);
+    };
+  },
+
   logout() {
-    localStorage.removeItem('token');
-    localStorage.removeItem('userId');
-    localStorage.removeItem('username');
+    AUTH_STORAGE_KEYS.forEach((key) => localStorage.removeItem(key));
+    notifyAuthChanged();
   },
 
   isAuthenticated() {
     return !!localStorage.getItem('token');
   },
 
+  getToken() {
+    return localStorage.getItem('token');
+  },
+
   getCurrentUser() {
     return {
       userId: parseInt(localStorage.getItem('userId')),
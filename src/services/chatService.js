@@ -1,43 +1,242 @@
 import * as signalR from '@microsoft/signalr';
+import { configService } from './configService';
+import { authService } from './authService';
+import { outboxService, OUTBOX_KIND, OUTBOX_STATUS, isMessageEntry } from './outboxService';
+import { tabCoordinator } from './tabCoordinator';
+import { attachmentService } from './attachmentService';
+import { encryptionService, EncryptionError } from './encryptionService';
+import { getMessagePreviewText } from '../utils/attachments';
+import { hasReacted, setUserReaction } from '../utils/reactions';
+import {
+  getGroupIdFromKey,
+  getGroupKey,
+  getMessageConversationKey,
+  getPageConversationKey,
+  isGroupKey,
+} from '../utils/conversations';
 
 /**
  * SignalR chat service for real-time messaging.
  * 
  * FEATURES:
  * - Automatic reconnection on disconnect
- * - JWT authentication via query string
+ * - JWT authentication via query string (current token, refreshed when near expiry)
  * - Event-based message handling
- * - Offline message queue (messages sent while disconnected)
+ * - Cursor-based conversation paging (latest page first, then older pages)
+ * - Presence map (online/offline, last seen), refreshed on every (re)connect
+ * - Typing indicators that expire when stop events are lost
+ * - Read receipts: batched MarkAsRead reports, delivered/read events
+ * - Persistent offline outbox (IndexedDB) with retry limits and backoff
+ * - One hub connection per user across browser tabs (see tabCoordinator)
+ * - Group conversations: create, rename, add/remove members, leave
+ * - File attachments, uploaded from the outbox with progress and cancel
+ * - Editing and deleting sent messages, queued through the outbox too
+ * - Replies that reference (and quote) an earlier message
+ * - Emoji reactions, toggled per user
+ * - Opt-in end-to-end encryption of direct messages (see encryptionService)
  * 
  * DESIGN DECISIONS:
  * - Connection state managed internally
  * - Callbacks registered for incoming messages
  * - Automatic retry on connection failure
+ * - Every outgoing message goes through the outbox, so nothing is lost
+ *   if the tab closes mid-send
+ * - Outbox ID is the client message ID. The hub's SendMessage takes no ID,
+ *   so the MessageSent echo is matched by clientMessageId when the server
+ *   returns one, otherwise by receiver and content in send order
+ * - Conversations are addressed by key (see utils/conversations): a user ID
+ *   for direct chats, "group:<id>" for groups; each call picks the direct
+ *   or group hub method from the key
+ * - Only the leader tab holds the connection and sends the outbox. It relays
+ *   hub events and connection state to the other tabs, which invoke hub
+ *   methods through it; every tab applies events through applyEvent()
+ * - Attachments are queued with their files (IndexedDB stores Blobs) and
+ *   uploaded by the leader right before the message is sent. Uploaded
+ *   metadata is saved on the entry, so a retry never uploads a file twice.
+ *   Messages with attachments use SendMessageWithAttachments /
+ *   SendGroupMessageWithAttachments, which take the attachment IDs
+ * - Replies use SendReply / SendGroupReply (with the replied-to message ID
+ *   and attachment IDs). The queued entry keeps a short snapshot of the
+ *   original so the quote shows before the server echo
+ * - Reactions are not queued: AddReaction / RemoveReaction need the
+ *   connection. The toggle shows at once in this tab and is reverted if the
+ *   invocation fails; the hub's ReactionsUpdated carries the full reaction
+ *   list of the message, so applying it twice or out of turn is harmless
+ * - Encrypted messages are queued as plain text with the recipient
+ *   (encryptFor) and encrypted right before they are sent, so a retry
+ *   fetches the recipient's key again. A message that can't be encrypted
+ *   fails instead of going out in plain text. The leader decrypts hub events
+ *   with message content before anything else sees them (one at a time, in
+ *   order, together with deletions, reactions and receipts so they never
+ *   overtake the message they change), so the other tabs, the cache and the
+ *   UI only ever get plain text; presence, typing and group events are
+ *   applied right away
  */
 
+const MAX_SEND_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 2000;
+const RETRY_MAX_DELAY_MS = 60000;
+// How long to wait for MessageSent after the invocation completed
+const ECHO_TIMEOUT_MS = 10000;
+// A message confirmed without its echo is still matched to an echo arriving this late
+const LATE_ECHO_WINDOW_MS = 5 * 60 * 1000;
+export const CONVERSATION_PAGE_SIZE = 50;
+// A typing indicator without a refresh expires after this long.
+// Senders repeat "typing" more often than this while the user keeps typing.
+const TYPING_TIMEOUT_MS = 6000;
+// Seen messages are batched into one MarkAsRead per conversation
+const READ_RECEIPT_DELAY_MS = 500;
+// Give up waiting for a requested history page after this long
+const PAGE_TIMEOUT_MS = 15000;
+// Length of the original message text kept with a queued reply
+const REPLY_PREVIEW_LENGTH = 200;
+
+// Hub events handled by applyEvent() and relayed to the other tabs
+const HUB_EVENTS = [
+  'ReceiveMessage',
+  'MessageSent',
+  'ConversationHistory',
+  'ConversationPage',
+  'UserRegistered',
+  'PresenceSnapshot',
+  'PresenceChanged',
+  'MessagesDelivered',
+  'MessagesRead',
+  'UserTyping',
+  'Groups',
+  'GroupUpdated',
+  'GroupRemoved',
+  'MessageEdited',
+  'MessageDeleted',
+  'ReactionsUpdated',
+];
+
+// Exponential backoff: 2s, 4s, 8s, 16s... capped at 60s
+const getRetryDelay = (attempts) =>
+  Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+
+// Rejected uploads (too large, wrong type...) and messages that can't be encrypted fail at once instead of retrying
+const isPermanentFailure = (error) => {
+  if (error instanceof EncryptionError) return true;
+  const status = error.response?.status;
+  return status >= 400 && status < 500 && ![401, 408, 429].includes(status);
+};
+
+// Hub events that carry or name messages. They are applied in order, since content may need
+// decrypting first and a change to a message the store does not have yet would be lost
+const MESSAGE_EVENTS = [
+  'ReceiveMessage',
+  'MessageSent',
+  'MessageEdited',
+  'MessageDeleted',
+  'ReactionsUpdated',
+  'MessagesDelivered',
+  'MessagesRead',
+  'ConversationHistory',
+  'ConversationPage',
+];
+
+// The queued entry a MessageSent echo confirms: by client message ID, else by target and content in send order
+const findEchoedItem = (items, message) =>
+  items.find((item) => item.id === message.clientMessageId) ||
+  items.find(
+    (item) =>
+      item.content === message.content &&
+      (message.groupId != null ? item.groupId === message.groupId : item.receiverId === message.receiverId)
+  );
+
+// Sending with files still to upload: the message can still be cancelled
+const isUploading = (item) =>
+  item.status === OUTBOX_STATUS.SENDING && (item.attachments || []).some((a) => !a.uploaded);
+
 class ChatService {
   constructor() {
     this.connection = null;
+    this.ownerId = null;
+    this.remoteState = null; // connection state reported by the leader tab
+    this.unsubscribeOutbox = null;
     this.messageCallbacks = [];
     this.messageSentCallbacks = [];
     this.conversationHistoryCallbacks = [];
+    this.conversationPageCallbacks = [];
     this.connectionStateCallbacks = [];
     this.userRegisteredCallbacks = [];
-    this.messageQueue = []; // Store messages while offline
+    this.presenceCallbacks = [];
+    this.presence = {}; // userId -> { isOnline, lastSeen }
+    this.typingCallbacks = [];
+    this.typingUsers = {}; // conversation key -> { userId: true } while typing
+    this.typingTimers = new Map(); // "<conversation key>|<userId>" -> expiry timeout id
+    this.groupCallbacks = [];
+    this.groups = {}; // groupId -> { id, name, memberIds, createdBy }
+    this.receiptCallbacks = [];
+    this.pendingReads = new Map(); // otherUserId -> Set of message IDs to report
+    this.readReceiptTimer = null;
+    this.outboxTimer = null;
+    this.outboxFlush = null;
+    this.outboxFlushRequested = false;
+    this.sendResolvers = new Map(); // clientMessageId -> resolve(outcome)
+    this.echoTimers = new Map(); // clientMessageId -> timeout id
+    this.unechoedItems = new Map(); // clientMessageId -> entry confirmed with a local copy, awaiting a late echo
+    this.uploadControllers = new Map(); // clientMessageId -> AbortController
+    this.uploadProgress = {}; // clientMessageId -> fraction uploaded (0..1)
+    this.uploadProgressCallbacks = [];
+    this.messageChangedCallbacks = [];
+    this.reactionCallbacks = [];
+    this.inboundEvents = Promise.resolve(); // message events waiting to be decrypted and applied, in order
   }
 
   /**
-   * Initialize SignalR connection with JWT token.
+   * Join the user's tabs and, if this tab is the leader, open the SignalR
+   * connection. Other tabs use the leader's connection until it closes.
+   * The JWT is read from authService on every (re)connect, so refreshed
+   * tokens are picked up automatically.
    */
-  async connect(token) {
-    if (this.connection) {
+  async connect() {
+    if (this.connection || this.ownerId !== null) {
       await this.disconnect();
     }
 
+    const { userId } = authService.getCurrentUser();
+    this.ownerId = userId;
+    this.remoteState = null;
+
+    // Load the persisted outbox first so queued messages show even if connecting fails
+    await outboxService.load(userId, { recover: false });
+    this.unsubscribeOutbox = outboxService.onPersisted(() =>
+      tabCoordinator.post({ type: 'outbox-changed' })
+    );
+
+    const isLeader = await tabCoordinator.start(`user:${userId}`, {
+      onLeader: () => this.takeOverConnection(),
+      onMessage: (message) => this.handleTabMessage(message),
+      onRequest: (method, params) => this.handleTabRequest(method, params),
+    });
+
+    if (isLeader) {
+      await this.startConnection();
+      return;
+    }
+
+    this.applyConnectionState('connecting');
+    try {
+      this.applySnapshot(await tabCoordinator.request('snapshot'));
+    } catch (error) {
+      // No leader answered yet; its state broadcasts will follow
+      console.warn('Waiting for the tab holding the chat connection:', error.message);
+    }
+  }
+
+  /**
+   * Open the hub connection (leader tab only).
+   */
+  async startConnection() {
+    // The leader sends the queue, so recover what a closed leader left in flight
+    await outboxService.load(this.ownerId);
+
     // Build connection with JWT in query string (required for WebSocket auth)
     this.connection = new signalR.HubConnectionBuilder()
-      .withUrl('https://appcommunication.musasoftservices.com/hubs/chat', {
-        accessTokenFactory: () => token,
+      .withUrl(configService.getHubUrl(), {
+        accessTokenFactory: () => authService.getValidToken(),
       })
       .withAutomaticReconnect({
         nextRetryDelayInMilliseconds: (retryContext) => {
@@ -52,20 +251,8 @@ class ChatService {
       .build();
 
     // Register event handlers
-    this.connection.on('ReceiveMessage', (message) => {
-      this.messageCallbacks.forEach((callback) => callback(message));
-    });
-
-    this.connection.on('MessageSent', (message) => {
-      this.messageSentCallbacks.forEach((callback) => callback(message));
-    });
-
-    this.connection.on('ConversationHistory', (messages) => {
-      this.conversationHistoryCallbacks.forEach((callback) => callback(messages));
-    });
-
-    this.connection.on('UserRegistered', (user) => {
-      this.userRegisteredCallbacks.forEach((callback) => callback(user));
+    HUB_EVENTS.forEach((name) => {
+      this.connection.on(name, (payload) => this.handleHubEvent(name, payload));
     });
 
     this.connection.on('Error', (error) => {
@@ -75,94 +262,1086 @@ class ChatService {
     // Connection state handlers
     this.connection.onreconnecting(() => {
       console.log('SignalR reconnecting...');
-      this.notifyConnectionState('reconnecting');
+      this.publishConnectionState('reconnecting');
     });
 
     this.connection.onreconnected(() => {
       console.log('SignalR reconnected');
-      this.notifyConnectionState('connected');
+      this.publishConnectionState('connected');
+      // Presence and group changes were missed while disconnected
+      this.refreshPresence();
+      this.refreshGroups();
       // Send queued messages after reconnection
-      this.flushMessageQueue();
+      this.flushOutbox();
     });
 
     this.connection.onclose(() => {
       console.log('SignalR connection closed');
-      this.notifyConnectionState('disconnected');
+      this.publishConnectionState('disconnected');
     });
 
     try {
+      this.publishConnectionState('connecting');
       await this.connection.start();
       console.log('SignalR connected');
-      this.notifyConnectionState('connected');
+      this.publishConnectionState('connected');
+      this.refreshPresence();
+      this.refreshGroups();
+      // Deliver anything queued before a reload or while offline
+      this.flushOutbox();
     } catch (error) {
       console.error('SignalR connection error:', error);
-      this.notifyConnectionState('error');
+      this.publishConnectionState('error');
       throw error;
     }
   }
 
   /**
-   * Disconnect from SignalR hub.
+   * The leader tab closed and this tab won the election.
+   */
+  async takeOverConnection() {
+    console.log('Taking over the chat connection from a closed tab');
+    this.remoteState = null;
+    try {
+      await this.startConnection();
+    } catch {
+      // Already reported through the connection state
+    }
+  }
+
+  /**
+   * Disconnect from SignalR hub and leave the tab group (another tab takes over).
    */
   async disconnect() {
+    clearTimeout(this.readReceiptTimer);
+    this.readReceiptTimer = null;
+    clearTimeout(this.outboxTimer);
+    this.outboxTimer = null;
+    this.echoTimers.forEach((timer) => clearTimeout(timer));
+    this.echoTimers.clear();
+    this.unechoedItems.clear();
+    this.uploadControllers.forEach((controller) => controller.abort());
+    this.uploadControllers.clear();
+    this.applyUploadProgress({});
+
+    this.unsubscribeOutbox?.();
+    this.unsubscribeOutbox = null;
+    tabCoordinator.stop();
+    this.ownerId = null;
+    // Groups belong to the user that was connected
+    this.groups = {};
+    this.notifyGroups();
+
     if (this.connection) {
-      await this.connection.stop();
+      const connection = this.connection;
       this.connection = null;
+      await connection.stop();
     }
+    // Set by onclose above, now that this tab is no longer the leader
+    this.remoteState = null;
   }
 
   /**
-   * Send message to another user.
-   * If offline, queue the message for later delivery.
+   * Handle a hub event (leader tab): apply it here and relay it to the other tabs.
+   * Events about messages are applied one after the other, content decrypted
+   * first; the rest (presence, typing, groups) don't wait for that.
    */
-  async sendMessage(receiverId, content) {
-    if (!this.connection || this.connection.state !== signalR.HubConnectionState.Connected) {
-      // Queue message if not connected
-      this.messageQueue.push({ receiverId, content });
-      console.log('Message queued (offline):', { receiverId, content });
+  handleHubEvent(name, payload) {
+    if (!MESSAGE_EVENTS.includes(name)) {
+      this.publishEvent(name, payload);
       return;
     }
 
+    this.inboundEvents = this.inboundEvents
+      .then(() => this.decryptEvent(name, payload))
+      .then((decrypted) => {
+        // Only the leader knows which outbox entry an echo confirms
+        const event = name === 'MessageSent' ? this.matchSentMessage(decrypted) : decrypted;
+        this.publishEvent(name, event);
+      })
+      .catch((error) => console.error(`Failed to handle ${name}:`, error));
+  }
+
+  /**
+   * The hub event with end-to-end encrypted message content decrypted.
+   */
+  async decryptEvent(name, payload) {
+    const decrypt = (message) => encryptionService.decryptMessage(message);
+    switch (name) {
+      case 'ReceiveMessage':
+      case 'MessageSent':
+      case 'MessageEdited':
+        return decrypt(payload);
+      case 'ConversationHistory':
+        return Promise.all(payload.map(decrypt));
+      case 'ConversationPage':
+        return { ...payload, messages: await Promise.all(payload.messages.map(decrypt)) };
+      default:
+        return payload;
+    }
+  }
+
+  publishEvent(name, payload) {
+    tabCoordinator.post({ type: 'event', name, payload });
+    this.applyEvent(name, payload);
+  }
+
+  /**
+   * Apply a hub event in this tab, whether received directly or relayed.
+   */
+  applyEvent(name, payload) {
+    switch (name) {
+      case 'ReceiveMessage':
+        // A delivered message ends the sender's typing state
+        this.setTyping(getMessageConversationKey(payload, this.ownerId), payload.senderId, false);
+        this.messageCallbacks.forEach((callback) => callback(payload));
+        break;
+      case 'MessageSent':
+        // In other tabs the confirmed message replaces the queued copy in the same tick
+        if (payload.clientMessageId) {
+          outboxService.forget(payload.clientMessageId);
+        }
+        this.messageSentCallbacks.forEach((callback) => callback(payload));
+        break;
+      case 'MessageEdited':
+        this.notifyMessageChanged(payload.messageId, {
+          content: payload.content,
+          editedAt: payload.editedAt,
+          ...(payload.encrypted ? { encrypted: true, decryptFailed: !!payload.decryptFailed } : {}),
+        });
+        break;
+      case 'MessageDeleted':
+        this.notifyMessageChanged(payload.messageId, {
+          content: '',
+          attachments: [],
+          deletedAt: payload.deletedAt,
+        });
+        break;
+      case 'ReactionsUpdated':
+        this.notifyReactionsChanged(payload.messageId, payload.reactions || []);
+        break;
+      case 'ConversationHistory':
+        this.conversationHistoryCallbacks.forEach((callback) => callback(payload));
+        break;
+      case 'ConversationPage':
+        this.conversationPageCallbacks.forEach((callback) => callback(payload));
+        break;
+      case 'UserRegistered':
+        this.userRegisteredCallbacks.forEach((callback) => callback(payload));
+        break;
+      case 'PresenceSnapshot':
+        this.presence = Object.fromEntries(
+          payload.map(({ userId, isOnline, lastSeen }) => [userId, { isOnline, lastSeen }])
+        );
+        this.notifyPresence();
+        break;
+      case 'PresenceChanged': {
+        const { userId, isOnline, lastSeen } = payload;
+        this.presence = { ...this.presence, [userId]: { isOnline, lastSeen } };
+        this.notifyPresence();
+        break;
+      }
+      case 'MessagesDelivered':
+        this.receiptCallbacks.forEach((callback) =>
+          callback({ messageIds: payload.messageIds, deliveredAt: payload.deliveredAt })
+        );
+        break;
+      case 'MessagesRead':
+        // Read implies delivered
+        this.receiptCallbacks.forEach((callback) =>
+          callback({ messageIds: payload.messageIds, deliveredAt: payload.readAt, readAt: payload.readAt })
+        );
+        break;
+      case 'UserTyping': {
+        const key = payload.groupId != null ? getGroupKey(payload.groupId) : payload.userId;
+        this.setTyping(key, payload.userId, payload.isTyping);
+        break;
+      }
+      case 'Groups':
+        this.groups = Object.fromEntries(payload.map((group) => [group.id, group]));
+        this.notifyGroups();
+        break;
+      case 'GroupUpdated':
+        this.groups = { ...this.groups, [payload.id]: payload };
+        this.notifyGroups();
+        break;
+      case 'GroupRemoved': {
+        // Left the group or was removed from it
+        const groups = { ...this.groups };
+        delete groups[payload.groupId];
+        this.groups = groups;
+        this.notifyGroups();
+        break;
+      }
+      default:
+        console.warn('Unhandled hub event:', name);
+    }
+  }
+
+  publishConnectionState(state) {
+    tabCoordinator.post({ type: 'state', state });
+    this.applyConnectionState(state);
+  }
+
+  /**
+   * Apply a connection state in this tab (the leader's own, or relayed).
+   */
+  applyConnectionState(state) {
+    if (!tabCoordinator.isLeader()) {
+      this.remoteState = state;
+    }
+
+    if (state !== 'connected') {
+      this.clearTyping();
+    }
+    if (state === 'disconnected' || state === 'error') {
+      // Presence is unknown while disconnected
+      this.presence = {};
+      this.notifyPresence();
+    }
+
+    this.notifyConnectionState(state);
+
+    if (state === 'connected') {
+      this.flushReadReceipts();
+    }
+  }
+
+  // Catch up with the leader when joining; a state broadcast received meanwhile is newer
+  applySnapshot({ state, presence, typingUsers, groups }) {
+    if (tabCoordinator.isLeader()) return;
+
+    this.presence = presence;
+    this.notifyPresence();
+    this.groups = groups;
+    this.notifyGroups();
+    Object.entries(typingUsers).forEach(([key, users]) => {
+      // Object keys are strings; direct conversations are keyed by numeric user ID
+      const conversationKey = isGroupKey(key) ? key : Number(key);
+      Object.keys(users).forEach((userId) => this.setTyping(conversationKey, Number(userId), true));
+    });
+    if (this.remoteState === 'connecting') {
+      this.applyConnectionState(state);
+    }
+  }
+
+  handleTabMessage(message) {
+    switch (message.type) {
+      case 'event':
+        this.applyEvent(message.name, message.payload);
+        break;
+      case 'state':
+      case 'leader-resigned':
+        // May arrive after this tab took over; its own state is authoritative then
+        if (!tabCoordinator.isLeader()) {
+          this.applyConnectionState(message.type === 'state' ? message.state : 'reconnecting');
+        }
+        break;
+      case 'outbox-changed':
+        // The leader sends whatever another tab queued or retried, and stops
+        // uploads for messages another tab cancelled
+        outboxService.reload().then(() => {
+          this.abortCancelledUploads();
+          this.flushOutbox();
+        });
+        break;
+      case 'upload-progress':
+        this.applyUploadProgress(message.progress);
+        break;
+      case 'send-settled':
+        this.resolveSend(message.id, message.outcome);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Answer a request from another tab (leader only).
+   */
+  handleTabRequest(method, params) {
+    switch (method) {
+      case 'invoke':
+        if (!this.isConnected()) {
+          throw new Error('Not connected');
+        }
+        return this.connection.invoke(params.method, ...params.args);
+      case 'snapshot':
+        return {
+          state: this.getConnectionState(),
+          presence: this.presence,
+          typingUsers: this.typingUsers,
+          groups: this.groups,
+        };
+      default:
+        throw new Error(`Unknown tab request: ${method}`);
+    }
+  }
+
+  /**
+   * Invoke a hub method, through the leader tab's connection if this tab has none.
+   */
+  invoke(method, ...args) {
+    if (tabCoordinator.isLeader()) {
+      return this.connection.invoke(method, ...args);
+    }
+    return tabCoordinator.request('invoke', { method, args });
+  }
+
+  /**
+   * Send message to a conversation: a user ID or a group key. Options:
+   * - files: attachments (validated with attachmentService.validate beforehand)
+   * - replyTo: the message being replied to
+   * - encrypt: encrypt the text end-to-end (direct conversations only)
+   * The message is stored in the outbox first and delivered when connected.
+   * Resolves with the final outcome:
+   * - { status: 'sent', clientMessageId, message }
+   * - { status: 'failed', clientMessageId, error } after retries are exhausted
+   * - { status: 'discarded', clientMessageId } if removed from the outbox
+   * While offline the promise stays pending until the message is delivered.
+   */
+  async sendMessage(conversationKey, content, { files = [], replyTo = null, encrypt = false } = {}) {
+    const target = isGroupKey(conversationKey)
+      ? { groupId: getGroupIdFromKey(conversationKey) }
+      : { receiverId: conversationKey };
+    const attachments = files.map((file, index) => ({
+      localId: index,
+      fileName: file.name,
+      contentType: file.type,
+      size: file.size,
+      file,
+      uploaded: null,
+    }));
+    const item = await outboxService.add({
+      ...target,
+      content,
+      ...(encrypt && !isGroupKey(conversationKey) ? { encryptFor: conversationKey } : {}),
+      ...(attachments.length > 0 ? { attachments } : {}),
+      ...(replyTo
+        ? {
+            replyTo: {
+              id: replyTo.id,
+              senderId: replyTo.senderId,
+              content: getMessagePreviewText(replyTo).slice(0, REPLY_PREVIEW_LENGTH),
+            },
+          }
+        : {}),
+    });
+    const outcome = new Promise((resolve) => {
+      this.sendResolvers.set(item.id, resolve);
+    });
+
+    if (!this.isConnected()) {
+      console.log('Message queued (offline):', { conversationKey, content });
+    } else {
+      this.flushOutbox();
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Change the text of a sent message. Queued like a message, so it is
+   * sent once connected; a newer edit replaces one that has not been sent.
+   * Pass encryptFor (the recipient's user ID) to edit an encrypted message.
+   */
+  async editMessage(messageId, content, { encryptFor = null } = {}) {
+    const changes = this.getQueuedChanges(messageId);
+    if (changes.some((item) => item.kind === OUTBOX_KIND.DELETE)) return;
+
+    const unsent = changes.find(
+      (item) =>
+        item.kind === OUTBOX_KIND.EDIT &&
+        (item.status === OUTBOX_STATUS.PENDING || item.status === OUTBOX_STATUS.FAILED)
+    );
+    if (unsent) {
+      await outboxService.update(unsent.id, {
+        content,
+        status: OUTBOX_STATUS.PENDING,
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: null,
+      });
+    } else {
+      await outboxService.add({
+        kind: OUTBOX_KIND.EDIT,
+        messageId,
+        content,
+        ...(encryptFor !== null ? { encryptFor } : {}),
+      });
+    }
+
+    if (this.isConnected()) {
+      this.flushOutbox();
+    }
+  }
+
+  /**
+   * Delete a sent message for everyone. Unsent edits of it are dropped.
+   */
+  async deleteMessage(messageId) {
+    const changes = this.getQueuedChanges(messageId);
+    if (changes.some((item) => item.kind === OUTBOX_KIND.DELETE)) return;
+
+    for (const item of changes) {
+      if (item.status === OUTBOX_STATUS.PENDING || item.status === OUTBOX_STATUS.FAILED) {
+        await outboxService.remove(item.id);
+      }
+    }
+    await outboxService.add({ kind: OUTBOX_KIND.DELETE, messageId });
+
+    if (this.isConnected()) {
+      this.flushOutbox();
+    }
+  }
+
+  /**
+   * Add the current user's reaction to a message, or remove it if present.
+   * Rejects when offline or when the hub refuses the change.
+   */
+  async toggleReaction(message, emoji) {
+    const reacted = hasReacted(message.reactions, emoji, this.ownerId);
+    this.notifyReactionsChanged(message.id, setUserReaction(message.reactions, emoji, this.ownerId, !reacted));
+
     try {
-      await this.connection.invoke('SendMessage', receiverId, content);
+      await this.invokeConnected(reacted ? 'RemoveReaction' : 'AddReaction', message.id, emoji);
     } catch (error) {
-      // If send fails, queue for retry
-      this.messageQueue.push({ receiverId, content });
-      console.error('Failed to send message, queued for retry:', error);
+      this.notifyReactionsChanged(message.id, message.reactions || []);
+      throw error;
     }
   }
 
+  getQueuedChanges(messageId) {
+    return outboxService
+      .getItems()
+      .filter((item) => !isMessageEntry(item) && item.messageId === messageId);
+  }
+
   /**
-   * Request conversation history with another user.
+   * Request one page of history of a conversation (user ID or group key).
+   * Without `before` the latest page is returned; pass the ID of the oldest
+   * loaded message to get the page before it. The hub answers with a
+   * ConversationPage event: { otherUserId | groupId, before, messages, hasMore }.
+   * Falls back to the full ConversationHistory on hubs without paging.
    */
-  async getConversation(otherUserId) {
-    if (!this.connection || this.connection.state !== signalR.HubConnectionState.Connected) {
+  async getConversation(conversationKey, { before = null, pageSize = CONVERSATION_PAGE_SIZE } = {}) {
+    if (!this.isConnected()) {
       console.warn('Cannot get conversation: not connected');
-      return;
+      return false;
     }
 
+    const isGroup = isGroupKey(conversationKey);
     try {
-      await this.connection.invoke('GetConversation', otherUserId);
+      if (isGroup) {
+        await this.invoke('GetGroupConversationPage', getGroupIdFromKey(conversationKey), before, pageSize);
+      } else {
+        await this.invoke('GetConversationPage', conversationKey, before, pageSize);
+      }
+      return true;
     } catch (error) {
+      // Hubs with groups always support paging
+      if (!isGroup && before === null && /does not exist/i.test(error.message)) {
+        console.warn('Hub does not support paging, loading full history');
+        return this.getFullConversation(conversationKey);
+      }
       console.error('Failed to get conversation:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load one page of history and resolve with it: { messages, hasMore }.
+   * The page also reaches onConversationPage listeners (and so the cache)
+   * as usual. On hubs without paging the full history is the only page.
+   * Rejects when offline or if the page does not arrive in time.
+   */
+  fetchConversationPage(conversationKey, { before = null, pageSize = CONVERSATION_PAGE_SIZE } = {}) {
+    return new Promise((resolve, reject) => {
+      const unsubscribers = [];
+      let timer = null;
+      const finish = (error, page) => {
+        clearTimeout(timer);
+        unsubscribers.forEach((unsubscribe) => unsubscribe());
+        if (error) reject(error);
+        else resolve(page);
+      };
+
+      unsubscribers.push(
+        this.onConversationPage((page) => {
+          if ((page.before ?? null) === before && getPageConversationKey(page, this.ownerId) === conversationKey) {
+            finish(null, { messages: page.messages, hasMore: page.hasMore });
+          }
+        })
+      );
+      unsubscribers.push(
+        this.onConversationHistory((messages) => {
+          const lastMessage = messages[messages.length - 1];
+          const matches = !lastMessage || getMessageConversationKey(lastMessage, this.ownerId) === conversationKey;
+          if (before === null && matches) {
+            finish(null, { messages, hasMore: false });
+          }
+        })
+      );
+      timer = setTimeout(() => finish(new Error('Timed out loading history')), PAGE_TIMEOUT_MS);
+
+      this.getConversation(conversationKey, { before, pageSize }).then((requested) => {
+        if (!requested) finish(new Error('Could not load history'));
+      });
+    });
+  }
+
+  async getFullConversation(otherUserId) {
+    try {
+      await this.invoke('GetConversation', otherUserId);
+      return true;
+    } catch (error) {
+      console.error('Failed to get conversation:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Request a presence snapshot (answered with a PresenceSnapshot event).
+   */
+  async refreshPresence() {
+    if (!this.isConnected()) return;
+
+    try {
+      await this.invoke('GetPresence');
+    } catch (error) {
+      console.error('Failed to get presence:', error);
+    }
+  }
+
+  /**
+   * Get the presence map: userId -> { isOnline, lastSeen }.
+   */
+  getPresence() {
+    return this.presence;
+  }
+
+  /**
+   * Report messages of a conversation (user ID or group key) as seen.
+   * Reports are batched and kept until the connection is available.
+   */
+  markMessagesAsRead(conversationKey, messageIds) {
+    if (messageIds.length === 0) return;
+
+    const pending = this.pendingReads.get(conversationKey) || new Set();
+    messageIds.forEach((id) => pending.add(id));
+    this.pendingReads.set(conversationKey, pending);
+
+    if (!this.readReceiptTimer) {
+      this.readReceiptTimer = setTimeout(() => this.flushReadReceipts(), READ_RECEIPT_DELAY_MS);
+    }
+  }
+
+  async flushReadReceipts() {
+    clearTimeout(this.readReceiptTimer);
+    this.readReceiptTimer = null;
+    if (!this.isConnected() || this.pendingReads.size === 0) return;
+
+    const batches = [...this.pendingReads];
+    this.pendingReads.clear();
+
+    for (const [conversationKey, ids] of batches) {
+      try {
+        if (isGroupKey(conversationKey)) {
+          await this.invoke('MarkGroupAsRead', getGroupIdFromKey(conversationKey), [...ids]);
+        } else {
+          await this.invoke('MarkAsRead', conversationKey, [...ids]);
+        }
+      } catch (error) {
+        // Keep them for the next flush (e.g. after reconnecting)
+        console.error('Failed to send read receipts:', error);
+        const pending = this.pendingReads.get(conversationKey) || new Set();
+        ids.forEach((id) => pending.add(id));
+        this.pendingReads.set(conversationKey, pending);
+      }
+    }
+  }
+
+  /**
+   * Tell a conversation (user ID or group key) that the current user started
+   * or stopped typing. Best effort: nothing is queued while offline.
+   */
+  async sendTypingState(conversationKey, isTyping) {
+    if (!this.isConnected()) return;
+
+    try {
+      if (isGroupKey(conversationKey)) {
+        await this.invoke('SendGroupTyping', getGroupIdFromKey(conversationKey), isTyping);
+      } else {
+        await this.invoke('SendTyping', conversationKey, isTyping);
+      }
+    } catch (error) {
+      console.error('Failed to send typing state:', error);
+    }
+  }
+
+  setTyping(conversationKey, userId, isTyping) {
+    const timerKey = `${conversationKey}|${userId}`;
+    clearTimeout(this.typingTimers.get(timerKey));
+    this.typingTimers.delete(timerKey);
+
+    if (isTyping) {
+      this.typingTimers.set(
+        timerKey,
+        setTimeout(() => this.setTyping(conversationKey, userId, false), TYPING_TIMEOUT_MS)
+      );
+    }
+
+    const conversationTyping = this.typingUsers[conversationKey] || {};
+    if (!!conversationTyping[userId] === isTyping) return;
+
+    const updated = { ...conversationTyping };
+    if (isTyping) {
+      updated[userId] = true;
+    } else {
+      delete updated[userId];
+    }
+
+    const typingUsers = { ...this.typingUsers, [conversationKey]: updated };
+    if (Object.keys(updated).length === 0) {
+      delete typingUsers[conversationKey];
+    }
+    this.typingUsers = typingUsers;
+    this.typingCallbacks.forEach((callback) => callback(this.typingUsers));
+  }
+
+  /**
+   * Request the current user's groups (answered with a Groups event).
+   */
+  async refreshGroups() {
+    if (!this.isConnected()) return;
+
+    try {
+      await this.invoke('GetGroups');
+    } catch (error) {
+      console.error('Failed to get groups:', error);
+    }
+  }
+
+  /**
+   * Get the current user's groups: groupId -> { id, name, memberIds, createdBy }.
+   */
+  getGroups() {
+    return this.groups;
+  }
+
+  /**
+   * Create a group with the current user and `memberIds`. Resolves with the
+   * new group; members also receive a GroupUpdated event.
+   */
+  async createGroup(name, memberIds) {
+    const group = await this.invokeConnected('CreateGroup', name, memberIds);
+    if (group) {
+      this.groups = { ...this.groups, [group.id]: group };
+      this.notifyGroups();
+    }
+    return group;
+  }
+
+  /**
+   * Group management. These reject when offline or refused by the server;
+   * the resulting GroupUpdated/GroupRemoved events update every member.
+   */
+  renameGroup(groupId, name) {
+    return this.invokeConnected('RenameGroup', groupId, name);
+  }
+
+  addGroupMembers(groupId, userIds) {
+    return this.invokeConnected('AddGroupMembers', groupId, userIds);
+  }
+
+  removeGroupMember(groupId, userId) {
+    return this.invokeConnected('RemoveGroupMember', groupId, userId);
+  }
+
+  async leaveGroup(groupId) {
+    await this.invokeConnected('LeaveGroup', groupId);
+    // Don't wait for GroupRemoved to drop it locally
+    if (this.groups[groupId]) {
+      const groups = { ...this.groups };
+      delete groups[groupId];
+      this.groups = groups;
+      this.notifyGroups();
+    }
+  }
+
+  invokeConnected(method, ...args) {
+    if (!this.isConnected()) {
+      return Promise.reject(new Error('Not connected'));
+    }
+    return this.invoke(method, ...args);
+  }
+
+  clearTyping() {
+    this.typingTimers.forEach((timer) => clearTimeout(timer));
+    this.typingTimers.clear();
+    if (Object.keys(this.typingUsers).length === 0) return;
+
+    this.typingUsers = {};
+    this.typingCallbacks.forEach((callback) => callback(this.typingUsers));
+  }
+
+  /**
+   * Send all due outbox messages in order (called on connect, reconnect and
+   * when another tab queues a message).
+   * Concurrent calls share one run; a call made during a run triggers another pass.
+   */
+  flushOutbox() {
+    // Other tabs only queue; the leader picks their entries up from the shared store
+    if (!tabCoordinator.isLeader()) return Promise.resolve();
+
+    if (this.outboxFlush) {
+      this.outboxFlushRequested = true;
+      return this.outboxFlush;
+    }
+
+    this.outboxFlush = (async () => {
+      try {
+        do {
+          this.outboxFlushRequested = false;
+          await this.drainOutbox();
+        } while (this.outboxFlushRequested);
+      } finally {
+        this.outboxFlush = null;
+      }
+    })();
+
+    return this.outboxFlush;
+  }
+
+  async drainOutbox() {
+    clearTimeout(this.outboxTimer);
+    this.outboxTimer = null;
+
+    while (this.isConnected()) {
+      // Oldest pending message first; later messages wait behind it to keep order
+      const next = outboxService.getItems().find((item) => item.status === OUTBOX_STATUS.PENDING);
+      if (!next) return;
+
+      const wait = next.nextAttemptAt - Date.now();
+      if (wait > 0) {
+        this.outboxTimer = setTimeout(() => this.flushOutbox(), wait);
+        return;
+      }
+
+      await this.deliverQueuedMessage(next);
+    }
+  }
+
+  async deliverQueuedMessage(item) {
+    await outboxService.update(item.id, { status: OUTBOX_STATUS.SENDING });
+
+    try {
+      if (!isMessageEntry(item)) {
+        await this.deliverMessageChange(item);
+        return;
+      }
+
+      const attachments = await this.uploadAttachments(item);
+      // Cancelled while uploading
+      if (!outboxService.get(item.id)) return;
+
+      const attachmentIds = attachments.map((attachment) => attachment.id);
+      const content = await this.getOutgoingContent(item);
+      await this.invoke(...this.getSendInvocation({ ...item, content }, attachmentIds));
+
+      // The echo normally arrives before the invocation completes and has
+      // already removed the entry; otherwise wait for it a little longer
+      if (outboxService.get(item.id)) {
+        await outboxService.update(item.id, { status: OUTBOX_STATUS.SENT });
+        this.echoTimers.set(
+          item.id,
+          setTimeout(() => this.handleMissingEcho(item.id), ECHO_TIMEOUT_MS)
+        );
+      }
+    } catch (error) {
+      // Cancelled while uploading; the entry is already gone
+      if (!outboxService.get(item.id)) return;
+
+      if (isPermanentFailure(error)) {
+        console.error('Message rejected:', error);
+        await outboxService.update(item.id, {
+          status: OUTBOX_STATUS.FAILED,
+          attempts: item.attempts + 1,
+          lastError: error.response?.data?.message || error.message,
+        });
+        this.settleSend(item.id, { status: 'failed', clientMessageId: item.id, error });
+        return;
+      }
+
+      if (!this.isConnected()) {
+        // Connection dropped mid-send: not the message's fault, resend on reconnect
+        await outboxService.update(item.id, {
+          status: OUTBOX_STATUS.PENDING,
+          lastError: error.message,
+        });
+        return;
+      }
+
+      const attempts = item.attempts + 1;
+      if (attempts >= MAX_SEND_ATTEMPTS) {
+        console.error(`Message failed after ${attempts} attempts:`, error);
+        await outboxService.update(item.id, {
+          status: OUTBOX_STATUS.FAILED,
+          attempts,
+          lastError: error.message,
+        });
+        this.settleSend(item.id, { status: 'failed', clientMessageId: item.id, error });
+        return;
+      }
+
+      console.error('Failed to send message, will retry:', error);
+      await outboxService.update(item.id, {
+        status: OUTBOX_STATUS.PENDING,
+        attempts,
+        nextAttemptAt: Date.now() + getRetryDelay(attempts),
+        lastError: error.message,
+      });
+    }
+  }
+
+  /**
+   * Text of a queued message or edit as sent to the hub: encrypted when
+   * the entry asks for it.
+   */
+  getOutgoingContent(item) {
+    if (item.encryptFor == null || !item.content) return item.content;
+    return encryptionService.encryptMessage(item.content, item.encryptFor);
+  }
+
+  /**
+   * Hub method and arguments for a queued message. The plain methods are
+   * kept for messages without attachments or a reply, as before those existed.
+   */
+  getSendInvocation(item, attachmentIds) {
+    const isGroup = item.groupId != null;
+    const target = isGroup ? item.groupId : item.receiverId;
+
+    if (item.replyTo) {
+      return [isGroup ? 'SendGroupReply' : 'SendReply', target, item.content, item.replyTo.id, attachmentIds];
+    }
+    if (attachmentIds.length > 0) {
+      return [
+        isGroup ? 'SendGroupMessageWithAttachments' : 'SendMessageWithAttachments',
+        target,
+        item.content,
+        attachmentIds,
+      ];
+    }
+    return [isGroup ? 'SendGroupMessage' : 'SendMessage', target, item.content];
+  }
+
+  /**
+   * Send a queued edit or delete. The hub announces it with MessageEdited /
+   * MessageDeleted; it is applied here too in case that event is missed.
+   */
+  async deliverMessageChange(item) {
+    const now = new Date().toISOString();
+    if (item.kind === OUTBOX_KIND.EDIT) {
+      await this.invoke('EditMessage', item.messageId, await this.getOutgoingContent(item));
+      await outboxService.remove(item.id);
+      this.publishEvent('MessageEdited', {
+        messageId: item.messageId,
+        content: item.content,
+        editedAt: now,
+        ...(item.encryptFor != null ? { encrypted: true } : {}),
+      });
+    } else {
+      await this.invoke('DeleteMessage', item.messageId);
+      await outboxService.remove(item.id);
+      this.publishEvent('MessageDeleted', { messageId: item.messageId, deletedAt: now });
+    }
+  }
+
+  /**
+   * Upload the entry's files that are not uploaded yet, saving each result
+   * on the entry. Resolves with the metadata of all its attachments.
+   */
+  async uploadAttachments(item) {
+    const pending = (item.attachments || []).filter((attachment) => !attachment.uploaded);
+    if (pending.length === 0) {
+      return (item.attachments || []).map((attachment) => attachment.uploaded);
+    }
+
+    const controller = new AbortController();
+    this.uploadControllers.set(item.id, controller);
+    const totalBytes = pending.reduce((sum, attachment) => sum + attachment.size, 0);
+    let doneBytes = 0;
+
+    try {
+      for (const attachment of pending) {
+        const uploaded = await attachmentService.upload(attachment.file, {
+          fileName: attachment.fileName,
+          signal: controller.signal,
+          onProgress: (loaded) =>
+            this.publishUploadProgress(item.id, (doneBytes + loaded) / (totalBytes || 1)),
+        });
+        doneBytes += attachment.size;
+
+        const current = outboxService.get(item.id);
+        if (!current) break;
+        // The file is not needed once uploaded; don't keep it in the queue
+        await outboxService.update(item.id, {
+          attachments: current.attachments.map((a) =>
+            a.localId === attachment.localId ? { ...a, file: null, uploaded } : a
+          ),
+        });
+      }
+    } finally {
+      this.uploadControllers.delete(item.id);
+      this.publishUploadProgress(item.id, null);
     }
+
+    return (outboxService.get(item.id)?.attachments || []).map((attachment) => attachment.uploaded);
+  }
+
+  /**
+   * Abort uploads whose outbox entries were removed (by any tab).
+   */
+  abortCancelledUploads() {
+    this.uploadControllers.forEach((controller, id) => {
+      if (!outboxService.get(id)) {
+        controller.abort();
+      }
+    });
+  }
+
+  publishUploadProgress(id, fraction) {
+    const progress = { ...this.uploadProgress };
+    if (fraction === null) {
+      delete progress[id];
+    } else {
+      progress[id] = Math.min(fraction, 1);
+    }
+    tabCoordinator.post({ type: 'upload-progress', progress });
+    this.applyUploadProgress(progress);
+  }
+
+  applyUploadProgress(progress) {
+    this.uploadProgress = progress;
+    this.uploadProgressCallbacks.forEach((callback) => callback(this.uploadProgress));
+  }
+
+  /**
+   * Match a MessageSent echo to the outbox entry it confirms.
+   * Returns the message tagged with its clientMessageId when matched.
+   */
+  matchSentMessage(message) {
+    const inFlight = outboxService
+      .getItems()
+      .filter(
+        (item) =>
+          isMessageEntry(item) &&
+          (item.status === OUTBOX_STATUS.SENDING || item.status === OUTBOX_STATUS.SENT)
+      );
+
+    const item = findEchoedItem(inFlight, message);
+    if (item) return this.confirmSent(item, message);
+
+    // A late echo replaces the local copy (see handleMissingEcho)
+    const late = findEchoedItem([...this.unechoedItems.values()], message);
+    if (!late) return message;
+    this.unechoedItems.delete(late.id);
+    return { ...message, clientMessageId: late.id };
+  }
+
+  confirmSent(item, message) {
+    clearTimeout(this.echoTimers.get(item.id));
+    this.echoTimers.delete(item.id);
+
+    const confirmed = { ...message, clientMessageId: item.id };
+    outboxService.remove(item.id);
+    this.settleSend(item.id, { status: 'sent', clientMessageId: item.id, message: confirmed });
+    return confirmed;
+  }
+
+  /**
+   * Delivered but the server never echoed it: confirm with a local copy
+   * so the message does not vanish from the conversation. The entry is kept
+   * for a while, so an echo that still arrives replaces the copy instead of
+   * showing the message twice.
+   */
+  handleMissingEcho(id) {
+    this.echoTimers.delete(id);
+    const item = outboxService.get(id);
+    if (!item) return;
+
+    console.warn('No MessageSent echo received, using local copy:', id);
+    this.unechoedItems.set(id, item);
+    setTimeout(() => this.unechoedItems.delete(id), LATE_ECHO_WINDOW_MS);
+    const confirmed = this.confirmSent(item, {
+      id: item.id,
+      senderId: item.ownerId,
+      ...(item.groupId != null ? { groupId: item.groupId } : { receiverId: item.receiverId }),
+      content: item.content,
+      ...(item.attachments ? { attachments: item.attachments.map((a) => a.uploaded) } : {}),
+      ...(item.replyTo ? { replyToId: item.replyTo.id, replyTo: item.replyTo } : {}),
+      ...(item.encryptFor != null ? { encrypted: true } : {}),
+      timestamp: new Date(item.createdAt).toISOString(),
+    });
+    this.publishEvent('MessageSent', confirmed);
   }
 
   /**
-   * Send all queued messages (called after reconnection).
+   * Resolve the sendMessage() promise of a message, in whichever tab sent it.
    */
-  async flushMessageQueue() {
-    if (this.messageQueue.length === 0) return;
+  settleSend(id, outcome) {
+    tabCoordinator.post({ type: 'send-settled', id, outcome });
+    this.resolveSend(id, outcome);
+  }
 
-    console.log(`Sending ${this.messageQueue.length} queued messages...`);
-    const queue = [...this.messageQueue];
-    this.messageQueue = [];
+  resolveSend(id, outcome) {
+    const resolve = this.sendResolvers.get(id);
+    if (!resolve) return;
 
-    for (const { receiverId, content } of queue) {
-      await this.sendMessage(receiverId, content);
+    this.sendResolvers.delete(id);
+    resolve(outcome);
+  }
+
+  /**
+   * Send a queued or failed message again immediately, resetting its attempts.
+   */
+  async retryQueuedMessage(id) {
+    const item = outboxService.get(id);
+    if (!item || item.status === OUTBOX_STATUS.SENDING || item.status === OUTBOX_STATUS.SENT) return;
+
+    await outboxService.update(id, {
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+    });
+
+    if (this.isConnected()) {
+      await this.flushOutbox();
     }
   }
 
+  /**
+   * Drop a queued or failed message without sending it. A message still
+   * uploading its attachments is cancelled (the leader aborts the upload).
+   */
+  async discardQueuedMessage(id) {
+    const item = outboxService.get(id);
+    if (!item || item.status === OUTBOX_STATUS.SENT) return;
+    if (item.status === OUTBOX_STATUS.SENDING && !isUploading(item)) return;
+
+    await outboxService.remove(id);
+    this.uploadControllers.get(id)?.abort();
+    this.settleSend(id, { status: 'discarded', clientMessageId: id });
+  }
+
+  /**
+   * Get messages waiting in the outbox.
+   */
+  getQueuedMessages() {
+    return outboxService.getItems();
+  }
+
   /**
    * Register callback for incoming messages.
    */
@@ -193,6 +1372,16 @@ class ChatService {
     };
   }
 
+  /**
+   * Register callback for conversation history pages.
+   */
+  onConversationPage(callback) {
+    this.conversationPageCallbacks.push(callback);
+    return () => {
+      this.conversationPageCallbacks = this.conversationPageCallbacks.filter((c) => c !== callback);
+    };
+  }
+
   /**
    * Register callback for connection state changes.
    */
@@ -214,6 +1403,104 @@ class ChatService {
     };
   }
 
+  /**
+   * Register callback for outbox changes (queued, sending, failed messages).
+   */
+  onOutboxChanged(callback) {
+    return outboxService.onChanged(callback);
+  }
+
+  /**
+   * Register callback for attachment upload progress.
+   * Receives a map of clientMessageId -> fraction uploaded (0..1).
+   */
+  onUploadProgress(callback) {
+    this.uploadProgressCallbacks.push(callback);
+    return () => {
+      this.uploadProgressCallbacks = this.uploadProgressCallbacks.filter((c) => c !== callback);
+    };
+  }
+
+  /**
+   * Register callback for edited and deleted messages.
+   * Receives { messageId, changes } with the message fields to update.
+   */
+  onMessageChanged(callback) {
+    this.messageChangedCallbacks.push(callback);
+    return () => {
+      this.messageChangedCallbacks = this.messageChangedCallbacks.filter((c) => c !== callback);
+    };
+  }
+
+  notifyMessageChanged(messageId, changes) {
+    this.messageChangedCallbacks.forEach((callback) => callback({ messageId, changes }));
+  }
+
+  /**
+   * Register callback for reaction updates.
+   * Receives { messageId, reactions } with the message's full reaction list.
+   */
+  onReactionsChanged(callback) {
+    this.reactionCallbacks.push(callback);
+    return () => {
+      this.reactionCallbacks = this.reactionCallbacks.filter((c) => c !== callback);
+    };
+  }
+
+  notifyReactionsChanged(messageId, reactions) {
+    this.reactionCallbacks.forEach((callback) => callback({ messageId, reactions }));
+  }
+
+  /**
+   * Register callback for presence changes. Receives the full presence map.
+   */
+  onPresenceChanged(callback) {
+    this.presenceCallbacks.push(callback);
+    return () => {
+      this.presenceCallbacks = this.presenceCallbacks.filter((c) => c !== callback);
+    };
+  }
+
+  /**
+   * Register callback for typing changes. Receives a map of
+   * conversation key -> { userId: true } for everyone currently typing.
+   */
+  onTypingChanged(callback) {
+    this.typingCallbacks.push(callback);
+    return () => {
+      this.typingCallbacks = this.typingCallbacks.filter((c) => c !== callback);
+    };
+  }
+
+  /**
+   * Register callback for delivery and read receipts on sent messages.
+   * Receives { messageIds, deliveredAt, readAt? }.
+   */
+  onReceiptReceived(callback) {
+    this.receiptCallbacks.push(callback);
+    return () => {
+      this.receiptCallbacks = this.receiptCallbacks.filter((c) => c !== callback);
+    };
+  }
+
+  /**
+   * Register callback for group changes. Receives the full group map.
+   */
+  onGroupsChanged(callback) {
+    this.groupCallbacks.push(callback);
+    return () => {
+      this.groupCallbacks = this.groupCallbacks.filter((c) => c !== callback);
+    };
+  }
+
+  notifyPresence() {
+    this.presenceCallbacks.forEach((callback) => callback(this.presence));
+  }
+
+  notifyGroups() {
+    this.groupCallbacks.forEach((callback) => callback(this.groups));
+  }
+
   /**
    * Notify all connection state callbacks.
    */
@@ -222,9 +1509,20 @@ class ChatService {
   }
 
   /**
-   * Get current connection state.
+   * True when hub methods can be invoked (directly or through the leader tab).
+   */
+  isConnected() {
+    if (this.remoteState !== null) {
+      return this.remoteState === 'connected';
+    }
+    return this.connection?.state === signalR.HubConnectionState.Connected;
+  }
+
+  /**
+   * Get current connection state (the leader's state in other tabs).
    */
   getConnectionState() {
+    if (this.remoteState !== null) return this.remoteState;
     if (!this.connection) return 'disconnected';
     
     switch (this.connection.state) {
@@ -0,0 +1,212 @@
+/**
+ * Runtime configuration for backend endpoints.
+ *
+ * RESOLUTION ORDER (later wins):
+ * 1. Built-in defaults (production host)
+ * 2. Vite env variables: VITE_API_BASE_URL, VITE_HUB_URL, VITE_ENVIRONMENTS
+ * 3. Optional /config.json served next to index.html (deploy-time override)
+ * 4. Environment picked on the Login page (non-production builds only)
+ *
+ * DESIGN DECISIONS:
+ * - load() runs once in main.jsx before the app mounts
+ * - Invalid URLs throw ConfigError so the app shows an error screen
+ *   instead of failing silently on the first request
+ * - Getters are read on every request/connect, so switching environment
+ *   takes effect without a reload
+ */
+
+const DEFAULT_ENVIRONMENT = {
+  name: 'production',
+  apiBaseUrl: 'https://appcommunication.musasoftservices.com/api',
+  hubUrl: 'https://appcommunication.musasoftservices.com/hubs/chat',
+};
+
+const RUNTIME_CONFIG_URL = '/config.json';
+const SELECTED_ENVIRONMENT_KEY = 'environment';
+
+export class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+/**
+ * Accepts absolute http(s)/ws(s) URLs or root-relative paths (same-origin backend).
+ */
+const isValidEndpoint = (url) => {
+  if (typeof url !== 'string' || url.trim() === '') return false;
+  if (url.startsWith('/')) return true;
+
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:', 'ws:', 'wss:'].includes(parsed.protocol);
+  } catch {
+    return false;
+  }
+};
+
+const validateEnvironment = (environment, source) => {
+  const problems = [];
+  if (!environment.name) {
+    problems.push(`${source}: environment is missing a "name"`);
+  }
+  if (!isValidEndpoint(environment.apiBaseUrl)) {
+    problems.push(`${source}: invalid apiBaseUrl "${environment.apiBaseUrl ?? ''}"`);
+  }
+  if (!isValidEndpoint(environment.hubUrl)) {
+    problems.push(`${source}: invalid hubUrl "${environment.hubUrl ?? ''}"`);
+  }
+  return problems;
+};
+
+const normalizeEnvironment = (environment) => ({
+  ...environment,
+  apiBaseUrl: trimTrailingSlash(environment.apiBaseUrl),
+  hubUrl: trimTrailingSlash(environment.hubUrl),
+});
+
+const parseEnvEnvironments = () => {
+  const raw = import.meta.env.VITE_ENVIRONMENTS;
+  if (!raw) return [];
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) throw new Error('expected an array');
+    return parsed;
+  } catch (error) {
+    throw new ConfigError('VITE_ENVIRONMENTS is not valid JSON', [
+      `VITE_ENVIRONMENTS: ${error.message}`,
+    ]);
+  }
+};
+
+/**
+ * Fetch the optional runtime override. A missing file is not an error;
+ * a file that exists but cannot be parsed is.
+ */
+const fetchRuntimeConfig = async () => {
+  let response;
+  try {
+    response = await fetch(RUNTIME_CONFIG_URL, {
+      cache: 'no-store',
+      headers: { Accept: 'application/json' },
+    });
+  } catch {
+    return null;
+  }
+
+  // The dev server answers unknown paths with index.html, so only trust JSON
+  const contentType = response.headers.get('content-type') || '';
+  if (!response.ok || !contentType.includes('application/json')) {
+    return null;
+  }
+
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new ConfigError(`${RUNTIME_CONFIG_URL} is not valid JSON`, [
+      `${RUNTIME_CONFIG_URL}: ${error.message}`,
+    ]);
+  }
+};
+
+class ConfigService {
+  constructor() {
+    this.environments = [];
+    this.activeEnvironment = null;
+    this.allowEnvironmentPicker = false;
+  }
+
+  /**
+   * Resolve configuration. Must complete before any API or hub call.
+   */
+  async load() {
+    const env = import.meta.env;
+    const base = {
+      name: env.VITE_ENVIRONMENT_NAME || DEFAULT_ENVIRONMENT.name,
+      apiBaseUrl: env.VITE_API_BASE_URL || DEFAULT_ENVIRONMENT.apiBaseUrl,
+      hubUrl: env.VITE_HUB_URL || DEFAULT_ENVIRONMENT.hubUrl,
+    };
+    const extraEnvironments = parseEnvEnvironments();
+
+    const runtime = await fetchRuntimeConfig();
+    if (runtime) {
+      base.name = runtime.name || base.name;
+      base.apiBaseUrl = runtime.apiBaseUrl || base.apiBaseUrl;
+      base.hubUrl = runtime.hubUrl || base.hubUrl;
+      if (Array.isArray(runtime.environments)) {
+        extraEnvironments.push(...runtime.environments);
+      }
+    }
+
+    const candidates = [base, ...extraEnvironments];
+    const problems = candidates.flatMap((environment, index) =>
+      validateEnvironment(environment, index === 0 ? 'default environment' : `environments[${index - 1}]`)
+    );
+    if (problems.length > 0) {
+      throw new ConfigError('The backend endpoints are misconfigured.', problems);
+    }
+
+    // De-duplicate by name, first definition wins
+    this.environments = candidates
+      .filter((environment, index) => candidates.findIndex((e) => e.name === environment.name) === index)
+      .map(normalizeEnvironment);
+
+    // Production builds always use the configured default environment
+    this.allowEnvironmentPicker = !env.PROD;
+
+    const selectedName = this.allowEnvironmentPicker
+      ? localStorage.getItem(SELECTED_ENVIRONMENT_KEY)
+      : null;
+    this.activeEnvironment =
+      this.environments.find((e) => e.name === selectedName) || this.environments[0];
+  }
+
+  /**
+   * Guard against use before load() so failures are explicit.
+   */
+  getActiveEnvironment() {
+    if (!this.activeEnvironment) {
+      throw new ConfigError('Configuration accessed before it was loaded.');
+    }
+    return this.activeEnvironment;
+  }
+
+  getApiBaseUrl() {
+    return this.getActiveEnvironment().apiBaseUrl;
+  }
+
+  getHubUrl() {
+    return this.getActiveEnvironment().hubUrl;
+  }
+
+  getEnvironments() {
+    return this.environments;
+  }
+
+  canSelectEnvironment() {
+    return this.allowEnvironmentPicker && this.environments.length > 1;
+  }
+
+  /**
+   * Switch backend environment (non-production builds only).
+   */
+  selectEnvironment(name) {
+    if (!this.allowEnvironmentPicker) return;
+
+    const environment = this.environments.find((e) => e.name === name);
+    if (!environment) {
+      throw new ConfigError(`Unknown environment "${name}".`);
+    }
+
+    this.activeEnvironment = environment;
+    localStorage.setItem(SELECTED_ENVIRONMENT_KEY, name);
+  }
+}
+
+// Export singleton instance
+export const configService = new ConfigService();
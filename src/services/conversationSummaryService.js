@@ -0,0 +1,159 @@
+import { authService } from './authService';
+import { getMessagePreviewText } from '../utils/attachments';
+
+/**
+ * Per-conversation summaries for the user list: unread count and last message.
+ * Stored in localStorage so unread state survives reloads and is shared
+ * by the user's tabs.
+ *
+ * DESIGN DECISIONS:
+ * - Keyed by conversation key (user ID or group key), scoped to the logged-in user
+ * - Summaries object is replaced on every change so React sees a new reference
+ * - Older messages (e.g. from a history load) never overwrite a newer preview
+ * - Every tab records the same messages, so changes start from the stored
+ *   summaries (not this tab's copy) and a message is only counted unread
+ *   once (recently counted IDs are kept with the count)
+ * - Changes from other tabs arrive as storage events and are passed on
+ *   to onChanged listeners like local ones
+ */
+
+const STORAGE_KEY_PREFIX = 'conversationSummaries:';
+const PREVIEW_LENGTH = 60;
+// Counted message IDs kept per conversation; enough to recognize the same message from another tab
+const MAX_COUNTED_IDS = 100;
+
+const toPreview = (message) => ({
+  id: message.id,
+  senderId: message.senderId,
+  // Attachment-only messages get a description ("Photo", a file name...)
+  content: getMessagePreviewText(message).slice(0, PREVIEW_LENGTH),
+  timestamp: message.timestamp,
+});
+
+class ConversationSummaryService {
+  constructor() {
+    this.ownerId = null;
+    this.summaries = {};
+    this.changeCallbacks = [];
+
+    this.handleStorage = (event) => {
+      // key is null when another tab cleared localStorage
+      if (this.ownerId === null || (event.key !== null && event.key !== this.storageKey())) return;
+      this.summaries = this.readStored();
+      this.notifyChanged();
+    };
+    if (typeof window !== 'undefined') {
+      window.addEventListener('storage', this.handleStorage);
+    }
+  }
+
+  /**
+   * Reload from storage whenever the logged-in user changes.
+   */
+  ensureLoaded() {
+    const { userId } = authService.getCurrentUser();
+    if (userId === this.ownerId) return;
+
+    this.ownerId = userId;
+    this.summaries = this.readStored();
+  }
+
+  readStored() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey())) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  // Another tab may have written since this tab last heard of it
+  loadLatest() {
+    this.ensureLoaded();
+    this.summaries = this.readStored();
+  }
+
+  storageKey() {
+    return `${STORAGE_KEY_PREFIX}${this.ownerId}`;
+  }
+
+  getSummaries() {
+    this.ensureLoaded();
+    return this.summaries;
+  }
+
+  /**
+   * Record a message in a conversation, optionally counting it as unread.
+   */
+  recordMessage(conversationKey, message, { unread = false } = {}) {
+    this.loadLatest();
+    const existing = this.summaries[conversationKey] || { unreadCount: 0, lastMessage: null };
+    const countedIds = existing.countedIds || [];
+    // Another tab may have counted it already (even if it has been read since)
+    const counted = unread && !countedIds.includes(message.id);
+
+    const isNewer =
+      !existing.lastMessage ||
+      new Date(message.timestamp) >= new Date(existing.lastMessage.timestamp);
+
+    this.update(conversationKey, {
+      unreadCount: existing.unreadCount + (counted ? 1 : 0),
+      countedIds: counted ? [...countedIds, message.id].slice(-MAX_COUNTED_IDS) : countedIds,
+      lastMessage: isNewer ? toPreview(message) : existing.lastMessage,
+    });
+  }
+
+  /**
+   * Refresh the preview of a last message that was edited or deleted.
+   */
+  updateMessage(messageId, changes) {
+    this.loadLatest();
+    const entry = Object.entries(this.summaries).find(
+      ([, summary]) => summary.lastMessage?.id === messageId
+    );
+    if (!entry) return;
+
+    const [conversationKey, summary] = entry;
+    this.update(conversationKey, {
+      ...summary,
+      lastMessage: toPreview({ ...summary.lastMessage, ...changes }),
+    });
+  }
+
+  /**
+   * Clear the unread count when a conversation is opened.
+   */
+  markAsRead(conversationKey) {
+    this.loadLatest();
+    const existing = this.summaries[conversationKey];
+    if (!existing || existing.unreadCount === 0) return;
+
+    this.update(conversationKey, { ...existing, unreadCount: 0 });
+  }
+
+  update(conversationKey, summary) {
+    this.summaries = { ...this.summaries, [conversationKey]: summary };
+    try {
+      localStorage.setItem(this.storageKey(), JSON.stringify(this.summaries));
+    } catch (error) {
+      console.error('Failed to persist conversation summaries:', error);
+    }
+    this.notifyChanged();
+  }
+
+  notifyChanged() {
+    this.changeCallbacks.forEach((callback) => callback(this.summaries));
+  }
+
+  /**
+   * Register callback for summary changes. Receives the full map.
+   */
+  onChanged(callback) {
+    this.changeCallbacks.push(callback);
+    return () => {
+      this.changeCallbacks = this.changeCallbacks.filter((c) => c !== callback);
+    };
+  }
+}
+
+// Export singleton instance
+export const conversationSummaryService = new ConversationSummaryService();
@@ -0,0 +1,105 @@
+/**
+ * Minimal promise wrapper around IndexedDB for client-side persistence.
+ *
+ * DESIGN DECISIONS:
+ * - One database for the whole app; each feature owns an object store
+ * - Schema changes are appended to UPGRADES and DB_VERSION is bumped,
+ *   so existing browsers migrate step by step
+ * - Connection is opened lazily and shared
+ */
+
+const DB_NAME = 'communicator';
+
+// Index N upgrades the schema from version N to N + 1
+const UPGRADES = [
+  (db) => {
+    db.createObjectStore('outbox', { keyPath: 'id' });
+  },
+  (db) => {
+    db.createObjectStore('conversations', { keyPath: 'key' });
+  },
+  (db) => {
+    // CryptoKey objects are stored as they are, so non-extractable keys stay so
+    db.createObjectStore('keys', { keyPath: 'userId' });
+  },
+];
+
+const DB_VERSION = UPGRADES.length;
+
+let dbPromise = null;
+
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        UPGRADES[version](db, request.transaction);
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab upgraded the schema: release so it can proceed
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+async function withStore(storeName, mode, operation) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  const result = await promisifyRequest(operation(transaction.objectStore(storeName)));
+  // Writes are only durable once the transaction commits
+  await completed;
+  return result;
+}
+
+export const db = {
+  get(storeName, key) {
+    return withStore(storeName, 'readonly', (store) => store.get(key));
+  },
+
+  getAll(storeName) {
+    return withStore(storeName, 'readonly', (store) => store.getAll());
+  },
+
+  put(storeName, value) {
+    return withStore(storeName, 'readwrite', (store) => store.put(value));
+  },
+
+  delete(storeName, key) {
+    return withStore(storeName, 'readwrite', (store) => store.delete(key));
+  },
+};
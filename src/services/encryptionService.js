@@ -0,0 +1,474 @@
+import api from './api';
+import { authService } from './authService';
+import { db } from './db';
+
+/**
+ * End-to-end encryption of direct messages with WebCrypto.
+ *
+ * FEATURES:
+ * - One ECDH (P-256) key pair per user and browser, created at login or
+ *   registration; the private key is non-extractable and kept in IndexedDB
+ * - Public keys are published and fetched through the API
+ * - Detects when another browser's key is the published one, and replaces
+ *   it only when the user asks to (replacePublishedKey)
+ * - Opt-in per conversation; the setting is kept per logged-in user
+ * - Key fingerprints, and marking a contact's key as verified after
+ *   comparing fingerprints
+ *
+ * DESIGN DECISIONS:
+ * - Each message is encrypted with a fresh AES-GCM key, which is wrapped
+ *   for every recipient's key: the other user's and the sender's own, so
+ *   sent messages stay readable in history. A wrapping key is derived
+ *   (HKDF) from the ECDH secret of the sender's and the recipient's keys
+ * - The encrypted content is a string (ENCRYPTED_CONTENT_PREFIX + JSON), so
+ *   the hub and the server store it like any other message text
+ * - The envelope carries the sender's public key; whether it matches the
+ *   sender's published key is checked on every decryption (keyMismatch)
+ * - Only content is encrypted. Attachments, reactions and group messages
+ *   are not, and the server still sees who talks to whom and when
+ * - Keys never leave the browser: messages encrypted for another browser's
+ *   key can't be read here (decryptFailed)
+ * - The server holds one public key per user, so only one browser can read
+ *   new encrypted messages. setUp never replaces a key it did not publish;
+ *   it reports KEY_STATUS.CONFLICT and the user decides
+ * - The fingerprint this browser published is saved with its keys, so an
+ *   offline start knows the key is already published
+ */
+
+const STORE_NAME = 'keys';
+// Web Lock held during setUp, so tabs opened together don't create two key pairs
+const SETUP_LOCK_PREFIX = 'communicator-encryption-setup';
+const SETTINGS_KEY_PREFIX = 'encryptionSettings:';
+export const ENCRYPTED_CONTENT_PREFIX = 'e2ee:v1:';
+const KEY_ALGORITHM = { name: 'ECDH', namedCurve: 'P-256' };
+const KEY_DERIVATION_INFO = new TextEncoder().encode('communicator-e2ee-v1');
+// Contacts' public keys are fetched again after this long (they change with a new browser)
+const PUBLIC_KEY_CACHE_MS = 5 * 60 * 1000;
+
+export const KEY_STATUS = {
+  PUBLISHED: 'published', // this browser's key is the user's published key
+  CONFLICT: 'conflict', // another browser's key is published
+};
+
+export const DEFAULT_ENCRYPTION_SETTINGS = {
+  encryptedUserIds: [],
+  verifiedKeys: {}, // userId -> fingerprint the user compared
+};
+
+export class EncryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EncryptionError';
+  }
+}
+
+export const isEncryptedContent = (content) =>
+  typeof content === 'string' && content.startsWith(ENCRYPTED_CONTENT_PREFIX);
+
+/**
+ * Fingerprint for display: "1A2B 3C4D ..." (16 groups of 4).
+ */
+export const formatFingerprint = (fingerprint) => fingerprint.toUpperCase().match(/.{4}/g).join(' ');
+
+const toBase64 = (buffer) => {
+  let binary = '';
+  new Uint8Array(buffer).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+// SHA-256 of the raw public key, as hex
+const getFingerprint = async (publicKey) => {
+  const raw = await crypto.subtle.exportKey('raw', publicKey);
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', raw));
+  return [...hash].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const importPublicKey = (jwk) =>
+  crypto.subtle.importKey('jwk', typeof jwk === 'string' ? JSON.parse(jwk) : jwk, KEY_ALGORITHM, true, []);
+
+// The same key on both sides: ECDH(own private, other's public) is symmetric
+const deriveWrappingKey = async (privateKey, publicKey, salt) => {
+  const secret = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+  const baseKey = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: KEY_DERIVATION_INFO },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+};
+
+class EncryptionService {
+  constructor() {
+    this.ownerId = null;
+    this.keysPromise = null;
+    this.setUpPromise = null;
+    this.keyStatus = null; // a KEY_STATUS once setUp has checked the published key
+    this.publicKeys = new Map(); // userId -> { promise, fetchedAt }
+    this.settings = DEFAULT_ENCRYPTION_SETTINGS;
+    this.changeCallbacks = [];
+    this.keyStatusCallbacks = [];
+  }
+
+  /**
+   * Reload keys and settings whenever the logged-in user changes.
+   */
+  ensureLoaded() {
+    const { userId } = authService.getCurrentUser();
+    if (userId === this.ownerId) return;
+
+    this.ownerId = userId;
+    this.keysPromise = null;
+    this.setUpPromise = null;
+    this.keyStatus = null;
+    this.publicKeys.clear();
+    try {
+      const stored = JSON.parse(localStorage.getItem(`${SETTINGS_KEY_PREFIX}${userId}`));
+      this.settings = { ...DEFAULT_ENCRYPTION_SETTINGS, ...stored };
+    } catch {
+      this.settings = DEFAULT_ENCRYPTION_SETTINGS;
+    }
+  }
+
+  isSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle && typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Create this browser's key pair for the logged-in user if there is none
+   * yet, and publish its public key if the user has none published. If
+   * another browser's key is published it is left alone and the key status
+   * becomes KEY_STATUS.CONFLICT. Calls while one is running share it, and
+   * tabs take turns. AuthProvider calls it at login and registration.
+   */
+  setUp() {
+    this.ensureLoaded();
+    if (!this.setUpPromise) {
+      const userId = this.ownerId;
+      const checkPublishedKey = () => this.checkPublishedKey(userId);
+      const setUp =
+        typeof navigator !== 'undefined' && navigator.locks
+          ? navigator.locks.request(`${SETUP_LOCK_PREFIX}:${userId}`, checkPublishedKey)
+          : checkPublishedKey();
+      this.setUpPromise = setUp.finally(() => {
+        if (this.ownerId === userId) this.setUpPromise = null;
+      });
+    }
+    return this.setUpPromise;
+  }
+
+  async checkPublishedKey(userId) {
+    const keys = await this.getKeys();
+    let published;
+    try {
+      published = await this.getPublicKey(userId, { refresh: true });
+    } catch (error) {
+      // Offline: a key this browser published before is assumed to still be the one
+      if (keys.publishedFingerprint === keys.fingerprint) return keys;
+      throw error;
+    }
+
+    if (!published) {
+      await this.publishKeys(keys);
+    } else if (published.fingerprint === keys.fingerprint) {
+      await this.markPublished(keys);
+    } else {
+      this.setKeyStatus(userId, KEY_STATUS.CONFLICT);
+    }
+    return keys;
+  }
+
+  /**
+   * Publish this browser's key in place of another browser's, after the
+   * user confirmed it. Messages encrypted for the old key stay readable
+   * only in that browser.
+   */
+  async replacePublishedKey() {
+    await this.publishKeys(await this.getKeys());
+  }
+
+  async publishKeys(keys) {
+    await api.put('/users/me/public-key', { publicKey: keys.publicKeyJwk });
+    await this.markPublished(keys);
+  }
+
+  async markPublished(keys) {
+    this.publicKeys.delete(keys.userId);
+    if (keys.publishedFingerprint !== keys.fingerprint) {
+      // The cached record is updated too, so it matches what is stored
+      keys.publishedFingerprint = keys.fingerprint;
+      await db.put(STORE_NAME, keys);
+    }
+    this.setKeyStatus(keys.userId, KEY_STATUS.PUBLISHED);
+  }
+
+  setKeyStatus(userId, status) {
+    if (userId !== this.ownerId || status === this.keyStatus) return;
+    this.keyStatus = status;
+    this.keyStatusCallbacks.forEach((callback) => callback(status));
+  }
+
+  /**
+   * A KEY_STATUS, or null until setUp has checked the published key.
+   */
+  getKeyStatus() {
+    this.ensureLoaded();
+    return this.keyStatus;
+  }
+
+  /**
+   * The logged-in user's keys: { privateKey, publicKey, publicKeyJwk, fingerprint },
+   * plus publishedFingerprint once this browser has published them.
+   */
+  getKeys() {
+    this.ensureLoaded();
+    if (!this.keysPromise) {
+      const userId = this.ownerId;
+      this.keysPromise = this.loadOrCreateKeys(userId).catch((error) => {
+        // Try again next time (e.g. IndexedDB was blocked by an upgrade in another tab)
+        if (this.ownerId === userId) this.keysPromise = null;
+        throw error;
+      });
+    }
+    return this.keysPromise;
+  }
+
+  async loadOrCreateKeys(userId) {
+    if (!this.isSupported()) {
+      throw new EncryptionError('This browser does not support end-to-end encryption.');
+    }
+
+    const stored = await db.get(STORE_NAME, userId);
+    if (stored) return stored;
+
+    // Non-extractable: the private key can be used but never read back, even by this app
+    const { privateKey, publicKey } = await crypto.subtle.generateKey(KEY_ALGORITHM, false, ['deriveBits']);
+    const keys = {
+      userId,
+      privateKey,
+      publicKey,
+      publicKeyJwk: await crypto.subtle.exportKey('jwk', publicKey),
+      fingerprint: await getFingerprint(publicKey),
+      createdAt: new Date().toISOString(),
+    };
+    await db.put(STORE_NAME, keys);
+    return keys;
+  }
+
+  /**
+   * A user's published key: { publicKey, fingerprint }, or null if they have
+   * none. Cached for a while; pass refresh to fetch it again.
+   */
+  getPublicKey(userId, { refresh = false } = {}) {
+    this.ensureLoaded();
+    const cached = this.publicKeys.get(userId);
+    if (cached && !refresh && Date.now() - cached.fetchedAt < PUBLIC_KEY_CACHE_MS) {
+      return cached.promise;
+    }
+
+    const promise = api.get(`/users/${userId}/public-key`).then(
+      async ({ data }) => {
+        if (!data?.publicKey) return null;
+        const publicKey = await importPublicKey(data.publicKey);
+        return { publicKey, fingerprint: await getFingerprint(publicKey) };
+      },
+      (error) => {
+        if (error.response?.status === 404) return null;
+        throw error;
+      }
+    );
+    this.publicKeys.set(userId, { promise, fetchedAt: Date.now() });
+    // Failures are not cached
+    promise.catch(() => {
+      if (this.publicKeys.get(userId)?.promise === promise) this.publicKeys.delete(userId);
+    });
+    return promise;
+  }
+
+  /**
+   * Encrypt message text for a user (and for the sender). Rejects with an
+   * EncryptionError if the user has no published key.
+   */
+  async encryptMessage(text, recipientId) {
+    const keys = await this.getKeys();
+    const recipient = await this.getPublicKey(recipientId);
+    if (!recipient) {
+      throw new EncryptionError('This user has not set up end-to-end encryption.');
+    }
+
+    const contentKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+    const iv = randomBytes(12);
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      contentKey,
+      new TextEncoder().encode(text)
+    );
+
+    const readers = [recipient, keys].filter(
+      (reader, index, all) => all.findIndex((other) => other.fingerprint === reader.fingerprint) === index
+    );
+    const recipients = await Promise.all(
+      readers.map(async ({ publicKey, fingerprint }) => {
+        const salt = randomBytes(16);
+        const wrapIv = randomBytes(12);
+        const wrappingKey = await deriveWrappingKey(keys.privateKey, publicKey, salt);
+        const wrapped = await crypto.subtle.wrapKey('raw', contentKey, wrappingKey, { name: 'AES-GCM', iv: wrapIv });
+        return { fingerprint, salt: toBase64(salt), iv: toBase64(wrapIv), key: toBase64(wrapped) };
+      })
+    );
+
+    const envelope = {
+      sender: { fingerprint: keys.fingerprint, publicKey: keys.publicKeyJwk },
+      iv: toBase64(iv),
+      ciphertext: toBase64(ciphertext),
+      recipients,
+    };
+    return `${ENCRYPTED_CONTENT_PREFIX}${JSON.stringify(envelope)}`;
+  }
+
+  /**
+   * Decrypt encrypted content: { text, senderFingerprint }.
+   */
+  async decryptContent(content) {
+    const keys = await this.getKeys();
+    const envelope = JSON.parse(content.slice(ENCRYPTED_CONTENT_PREFIX.length));
+    const entry = envelope.recipients.find((recipient) => recipient.fingerprint === keys.fingerprint);
+    if (!entry) {
+      throw new EncryptionError('The message was encrypted for another browser.');
+    }
+
+    const senderKey = await importPublicKey(envelope.sender.publicKey);
+    const wrappingKey = await deriveWrappingKey(keys.privateKey, senderKey, fromBase64(entry.salt));
+    const contentKey = await crypto.subtle.unwrapKey(
+      'raw',
+      fromBase64(entry.key),
+      wrappingKey,
+      { name: 'AES-GCM', iv: fromBase64(entry.iv) },
+      { name: 'AES-GCM' },
+      false,
+      ['decrypt']
+    );
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+      contentKey,
+      fromBase64(envelope.ciphertext)
+    );
+
+    return { text: new TextDecoder().decode(plaintext), senderFingerprint: await getFingerprint(senderKey) };
+  }
+
+  /**
+   * The message with its content (and quoted reply) decrypted. Decrypted
+   * messages are marked `encrypted`; `decryptFailed` if this browser can't
+   * read it, `keyMismatch` if it wasn't sent with the sender's published key.
+   * Other messages are returned as they are.
+   */
+  async decryptMessage(message) {
+    let decrypted = message;
+
+    if (isEncryptedContent(message.content)) {
+      try {
+        const { text, senderFingerprint } = await this.decryptContent(message.content);
+        decrypted = {
+          ...message,
+          content: text,
+          encrypted: true,
+          keyMismatch: await this.isUnexpectedSenderKey(message.senderId, senderFingerprint),
+        };
+      } catch (error) {
+        console.warn('Could not decrypt message:', message.id ?? message.messageId, error);
+        decrypted = { ...message, content: '', encrypted: true, decryptFailed: true };
+      }
+    }
+
+    if (isEncryptedContent(message.replyTo?.content)) {
+      const content = await this.decryptContent(message.replyTo.content).then(
+        ({ text }) => text,
+        () => ''
+      );
+      decrypted = { ...decrypted, replyTo: { ...message.replyTo, content } };
+    }
+
+    return decrypted;
+  }
+
+  // Unknown (offline, no sender) counts as expected; only a different published key is flagged
+  async isUnexpectedSenderKey(senderId, fingerprint) {
+    if (senderId === undefined || senderId === null) return false;
+    try {
+      const expected =
+        senderId === this.ownerId ? await this.getKeys() : await this.getPublicKey(senderId);
+      return !!expected && expected.fingerprint !== fingerprint;
+    } catch {
+      return false;
+    }
+  }
+
+  getSettings() {
+    this.ensureLoaded();
+    return this.settings;
+  }
+
+  updateSettings(changes) {
+    this.ensureLoaded();
+    this.settings = { ...this.settings, ...changes };
+    try {
+      localStorage.setItem(`${SETTINGS_KEY_PREFIX}${this.ownerId}`, JSON.stringify(this.settings));
+    } catch (error) {
+      console.error('Failed to persist encryption settings:', error);
+    }
+    this.changeCallbacks.forEach((callback) => callback(this.settings));
+  }
+
+  /**
+   * Whether new messages to a user are encrypted.
+   */
+  isEncryptionEnabled(userId) {
+    return this.getSettings().encryptedUserIds.includes(userId);
+  }
+
+  setEncryptionEnabled(userId, enabled) {
+    const others = this.getSettings().encryptedUserIds.filter((id) => id !== userId);
+    this.updateSettings({ encryptedUserIds: enabled ? [...others, userId] : others });
+  }
+
+  /**
+   * Remember the fingerprint of a user's key as checked (null to forget it).
+   */
+  setVerifiedKey(userId, fingerprint) {
+    const verifiedKeys = { ...this.getSettings().verifiedKeys };
+    if (fingerprint) {
+      verifiedKeys[userId] = fingerprint;
+    } else {
+      delete verifiedKeys[userId];
+    }
+    this.updateSettings({ verifiedKeys });
+  }
+
+  /**
+   * Register callback for settings changes.
+   */
+  onSettingsChanged(callback) {
+    this.changeCallbacks.push(callback);
+    return () => {
+      this.changeCallbacks = this.changeCallbacks.filter((c) => c !== callback);
+    };
+  }
+
+  onKeyStatusChanged(callback) {
+    this.keyStatusCallbacks.push(callback);
+    return () => {
+      this.keyStatusCallbacks = this.keyStatusCallbacks.filter((c) => c !== callback);
+    };
+  }
+}
+
+// Export singleton instance
+export const encryptionService = new EncryptionService();
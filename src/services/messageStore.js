@@ -0,0 +1,312 @@
+import { db } from './db';
+import { getMessageConversationKey } from '../utils/conversations';
+
+/**
+ * Normalized client-side cache of conversation messages.
+ *
+ * FEATURES:
+ * - Messages stored once by ID, conversations hold ordered ID lists
+ * - Cached conversations render instantly when reopened
+ * - Reconciles with ConversationHistory payloads and ConversationPage pages
+ * - Tracks per-conversation paging state (more history on server, loading)
+ * - Persisted to IndexedDB so the cache survives reloads
+ *
+ * DESIGN DECISIONS:
+ * - Conversations are keyed by conversation key: the other participant's
+ *   user ID for direct chats, "group:<id>" for groups (utils/conversations)
+ * - Deduplicates by message ID; a later copy of a message is merged into
+ *   the cached one so client-side fields (e.g. clientMessageId) are kept;
+ *   a message with a clientMessageId replaces other copies with that ID
+ *   (a local copy confirmed before the server's echo arrived)
+ * - Fields a payload carries replace the cached ones (history is authoritative
+ *   for edits, receipts and reactions); fields it omits are kept, so an echo
+ *   without reactions does not clear them
+ * - Writes are debounced and capped per conversation to bound storage;
+ *   a truncated cache is marked as having more history on the server
+ * - A latest page that does not overlap the cache replaces it, so the
+ *   cache never has gaps between pages
+ * - getMessages() returns a cached array per conversation, so the same
+ *   reference is returned until that conversation changes
+ */
+
+const STORE_NAME = 'conversations';
+const PERSIST_DELAY_MS = 500;
+const MAX_PERSISTED_MESSAGES = 500;
+
+const toTime = (message) => new Date(message.timestamp).getTime();
+
+class MessageStore {
+  constructor() {
+    this.ownerId = null;
+    this.messagesById = new Map();
+    this.conversations = new Map(); // conversationKey -> { ids, historyLoaded, hasMore, loadingOlder }
+    this.snapshots = new Map(); // conversationKey -> message array handed to the UI
+    this.dirty = new Set();
+    this.persistTimer = null;
+    this.changeCallbacks = [];
+  }
+
+  /**
+   * Load the persisted cache for a user. Safe to call again after login changes.
+   */
+  async load(ownerId) {
+    if (this.ownerId === ownerId) return;
+
+    this.ownerId = ownerId;
+    this.messagesById.clear();
+    this.conversations.clear();
+    this.snapshots.clear();
+
+    let records = [];
+    try {
+      records = await db.getAll(STORE_NAME);
+    } catch (error) {
+      console.warn('Message cache unavailable, conversations will load from the server:', error);
+    }
+
+    records
+      .filter((record) => record.ownerId === ownerId)
+      .forEach((record) => {
+        const conversation = this.getOrCreateConversation(record.conversationKey);
+        record.messages.forEach((message) => this.messagesById.set(message.id, message));
+        conversation.ids = record.messages.map((message) => message.id);
+        conversation.hasMore = record.hasMore ?? true;
+        this.notifyChanged(record.conversationKey);
+      });
+  }
+
+  /**
+   * The conversation a message belongs to, from the current user's point of view.
+   */
+  getConversationId(message) {
+    return getMessageConversationKey(message, this.ownerId);
+  }
+
+  getMessages(conversationKey) {
+    if (!this.snapshots.has(conversationKey)) {
+      const conversation = this.conversations.get(conversationKey);
+      const messages = conversation
+        ? conversation.ids.map((id) => this.messagesById.get(id))
+        : [];
+      this.snapshots.set(conversationKey, messages);
+    }
+    return this.snapshots.get(conversationKey);
+  }
+
+  /**
+   * Keys of all cached conversations.
+   */
+  getConversationKeys() {
+    return [...this.conversations.keys()];
+  }
+
+  /**
+   * True once server history has been received for the conversation this session.
+   */
+  isHistoryLoaded(conversationKey) {
+    return !!this.conversations.get(conversationKey)?.historyLoaded;
+  }
+
+  getPagination(conversationKey) {
+    const conversation = this.conversations.get(conversationKey);
+    return {
+      hasMore: conversation ? conversation.hasMore : true,
+      loadingOlder: !!conversation?.loadingOlder,
+    };
+  }
+
+  getOldestMessage(conversationKey) {
+    const messages = this.getMessages(conversationKey);
+    return messages[0] || null;
+  }
+
+  setLoadingOlder(conversationKey, loadingOlder) {
+    const conversation = this.getOrCreateConversation(conversationKey);
+    if (conversation.loadingOlder === loadingOlder) return;
+
+    conversation.loadingOlder = loadingOlder;
+    this.notifyChanged(conversationKey);
+  }
+
+  /**
+   * Add or update a single message (ReceiveMessage / MessageSent).
+   */
+  addMessage(message) {
+    const conversationKey = this.getConversationId(message);
+    const conversation = this.getOrCreateConversation(conversationKey);
+
+    this.mergeMessage(message);
+    if (message.clientMessageId) {
+      const copies = conversation.ids.filter(
+        (id) => id !== message.id && this.messagesById.get(id)?.clientMessageId === message.clientMessageId
+      );
+      copies.forEach((id) => this.messagesById.delete(id));
+      conversation.ids = conversation.ids.filter((id) => !copies.includes(id));
+    }
+    if (!conversation.ids.includes(message.id)) {
+      conversation.ids = this.sortIds([...conversation.ids, message.id]);
+    }
+
+    this.touch(conversationKey);
+  }
+
+  getMessage(id) {
+    return this.messagesById.get(id) || null;
+  }
+
+  /**
+   * Apply the same changes to cached messages (e.g. delivery/read receipts).
+   * Unknown IDs are ignored; history will carry their state when loaded.
+   */
+  updateMessages(ids, changes) {
+    const touched = new Set();
+    ids.forEach((id) => {
+      const message = this.messagesById.get(id);
+      if (!message) return;
+
+      this.messagesById.set(id, { ...message, ...changes });
+      touched.add(this.getConversationId(message));
+    });
+
+    touched.forEach((conversationKey) => this.touch(conversationKey));
+  }
+
+  /**
+   * Reconcile a full history payload with the cache (hubs without paging).
+   */
+  reconcileHistory(conversationKey, messages) {
+    const conversation = this.reconcileRange(conversationKey, messages, { keepOlder: false });
+    conversation.hasMore = false;
+    this.touch(conversationKey);
+  }
+
+  /**
+   * Apply a ConversationPage. The latest page (no cursor) reconciles the
+   * newest part of the cache; an older page is prepended.
+   */
+  applyPage(conversationKey, { messages, before = null, hasMore }) {
+    if (before === null) {
+      const conversation = this.getOrCreateConversation(conversationKey);
+      // Cached older messages are only kept if they connect to this page
+      const contiguous = messages.some((message) => conversation.ids.includes(message.id));
+      this.reconcileRange(conversationKey, messages, { keepOlder: contiguous });
+      conversation.hasMore = hasMore && (contiguous ? conversation.hasMore : true);
+    } else {
+      const conversation = this.getOrCreateConversation(conversationKey);
+      messages.forEach((message) => this.mergeMessage(message));
+      const ids = new Set([...conversation.ids, ...messages.map((message) => message.id)]);
+      conversation.ids = this.sortIds([...ids]);
+      conversation.hasMore = hasMore;
+      conversation.loadingOlder = false;
+    }
+
+    this.touch(conversationKey);
+  }
+
+  /**
+   * Server messages are authoritative up to their newest timestamp; cached
+   * messages newer than that (arrived after the server built the payload)
+   * are kept, and with keepOlder so are cached messages before the range.
+   */
+  reconcileRange(conversationKey, messages, { keepOlder }) {
+    const conversation = this.getOrCreateConversation(conversationKey);
+    messages.forEach((message) => this.mergeMessage(message));
+
+    const serverIds = new Set(messages.map((message) => message.id));
+    const times = messages.map(toTime);
+    const oldest = times.length > 0 ? Math.min(...times) : Infinity;
+    const newest = times.length > 0 ? Math.max(...times) : -Infinity;
+
+    const keptIds = conversation.ids.filter((id) => {
+      const cached = this.messagesById.get(id);
+      if (serverIds.has(id) || !cached) return false;
+      const time = toTime(cached);
+      return time > newest || (keepOlder && time < oldest);
+    });
+
+    // Drop cached messages the server no longer returns
+    conversation.ids
+      .filter((id) => !serverIds.has(id) && !keptIds.includes(id))
+      .forEach((id) => this.messagesById.delete(id));
+
+    conversation.ids = this.sortIds([...serverIds, ...keptIds]);
+    conversation.historyLoaded = true;
+    return conversation;
+  }
+
+  mergeMessage(message) {
+    const cached = this.messagesById.get(message.id);
+    this.messagesById.set(message.id, cached ? { ...cached, ...message } : message);
+  }
+
+  sortIds(ids) {
+    return [...ids].sort((a, b) => toTime(this.messagesById.get(a)) - toTime(this.messagesById.get(b)));
+  }
+
+  getOrCreateConversation(conversationKey) {
+    if (!this.conversations.has(conversationKey)) {
+      this.conversations.set(conversationKey, {
+        ids: [],
+        historyLoaded: false,
+        hasMore: true,
+        loadingOlder: false,
+      });
+    }
+    return this.conversations.get(conversationKey);
+  }
+
+  touch(conversationKey) {
+    this.dirty.add(conversationKey);
+    this.schedulePersist();
+    this.notifyChanged(conversationKey);
+  }
+
+  schedulePersist() {
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persistDirty();
+    }, PERSIST_DELAY_MS);
+  }
+
+  async persistDirty() {
+    const ownerId = this.ownerId;
+    const dirty = [...this.dirty];
+    this.dirty.clear();
+
+    for (const conversationKey of dirty) {
+      const allMessages = this.getMessages(conversationKey);
+      const messages = allMessages.slice(-MAX_PERSISTED_MESSAGES);
+      const { hasMore } = this.getPagination(conversationKey);
+      try {
+        await db.put(STORE_NAME, {
+          key: `${ownerId}:${conversationKey}`,
+          ownerId,
+          conversationKey,
+          messages,
+          hasMore: hasMore || messages.length < allMessages.length,
+        });
+      } catch (error) {
+        console.error('Failed to persist conversation cache:', error);
+      }
+    }
+  }
+
+  /**
+   * Register callback for conversation changes. Receives the conversation key.
+   */
+  onChanged(callback) {
+    this.changeCallbacks.push(callback);
+    return () => {
+      this.changeCallbacks = this.changeCallbacks.filter((c) => c !== callback);
+    };
+  }
+
+  notifyChanged(conversationKey) {
+    this.snapshots.delete(conversationKey);
+    this.changeCallbacks.forEach((callback) => callback(conversationKey));
+  }
+}
+
+// Export singleton instance
+export const messageStore = new MessageStore();
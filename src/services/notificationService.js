@@ -0,0 +1,265 @@
+import { authService } from './authService';
+import { tabCoordinator } from './tabCoordinator';
+import { playSound } from '../utils/sounds';
+import { setFaviconBadge } from '../utils/faviconBadge';
+import { getGroupIdFromKey, isGroupKey } from '../utils/conversations';
+import { getMessagePreviewText } from '../utils/attachments';
+
+/**
+ * Alerts for incoming messages: desktop notifications, sounds and an
+ * unread badge in the page title and favicon.
+ *
+ * FEATURES:
+ * - Desktop notifications with sender and preview; clicking one focuses
+ *   the tab and opens the conversation (see onNotificationClicked)
+ * - Configurable sound and volume
+ * - Global mute and per-conversation mute (users and groups)
+ * - No alerts for the conversation the user is looking at, in any tab
+ * - Unread count in document.title and the favicon
+ *
+ * DESIGN DECISIONS:
+ * - Settings are stored in localStorage per logged-in user
+ * - Only the leader tab alerts, so several open tabs do not each ring.
+ *   Tabs share what the user is looking at through a localStorage entry
+ *   written by the focused tab
+ * - Desktop notifications only while no app tab has focus; a focused app
+ *   still plays the sound for other conversations
+ * - Permission is requested from a user action (enabling notifications
+ *   in the settings), as browsers require
+ */
+
+const SETTINGS_KEY_PREFIX = 'notificationSettings:';
+const FOCUS_KEY = 'notificationFocus';
+const PREVIEW_LENGTH = 100;
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  muted: false,
+  desktop: true,
+  sound: 'chime',
+  volume: 0.5,
+  mutedUserIds: [],
+  mutedGroupIds: [],
+};
+
+const createTabId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+class NotificationService {
+  constructor() {
+    this.ownerId = null;
+    this.settings = DEFAULT_NOTIFICATION_SETTINGS;
+    this.changeCallbacks = [];
+    this.clickCallbacks = [];
+    this.tabId = createTabId();
+    this.activeConversationKey = null;
+    this.baseTitle = null;
+    this.listening = false;
+  }
+
+  /**
+   * Reload settings whenever the logged-in user changes.
+   */
+  ensureLoaded() {
+    const { userId } = authService.getCurrentUser();
+    if (userId === this.ownerId) return;
+
+    this.ownerId = userId;
+    try {
+      const stored = JSON.parse(localStorage.getItem(`${SETTINGS_KEY_PREFIX}${userId}`));
+      this.settings = { ...DEFAULT_NOTIFICATION_SETTINGS, ...stored };
+    } catch {
+      this.settings = DEFAULT_NOTIFICATION_SETTINGS;
+    }
+  }
+
+  getSettings() {
+    this.ensureLoaded();
+    return this.settings;
+  }
+
+  updateSettings(changes) {
+    this.ensureLoaded();
+    this.settings = { ...this.settings, ...changes };
+    try {
+      localStorage.setItem(`${SETTINGS_KEY_PREFIX}${this.ownerId}`, JSON.stringify(this.settings));
+    } catch (error) {
+      console.error('Failed to persist notification settings:', error);
+    }
+    this.changeCallbacks.forEach((callback) => callback(this.settings));
+  }
+
+  /**
+   * Whether alerts are muted for a conversation (user ID or group key).
+   */
+  isConversationMuted(conversationKey) {
+    const settings = this.getSettings();
+    return isGroupKey(conversationKey)
+      ? settings.mutedGroupIds.includes(getGroupIdFromKey(conversationKey))
+      : settings.mutedUserIds.includes(conversationKey);
+  }
+
+  setConversationMuted(conversationKey, muted) {
+    const [field, id] = isGroupKey(conversationKey)
+      ? ['mutedGroupIds', getGroupIdFromKey(conversationKey)]
+      : ['mutedUserIds', conversationKey];
+    const others = this.getSettings()[field].filter((mutedId) => mutedId !== id);
+    this.updateSettings({ [field]: muted ? [...others, id] : others });
+  }
+
+  /**
+   * Browser permission: 'granted', 'denied', 'default' or 'unsupported'.
+   */
+  getPermission() {
+    return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+  }
+
+  /**
+   * Ask for permission to show desktop notifications. Call from a user action.
+   */
+  async requestPermission() {
+    if (this.getPermission() !== 'default') return this.getPermission();
+
+    try {
+      await Notification.requestPermission();
+    } catch (error) {
+      console.error('Notification permission request failed:', error);
+    }
+    return this.getPermission();
+  }
+
+  /**
+   * Start tracking focus for this tab. Safe to call more than once.
+   */
+  start() {
+    if (this.listening) return;
+    this.listening = true;
+
+    this.handleFocusChange = () => this.publishFocus();
+    window.addEventListener('focus', this.handleFocusChange);
+    window.addEventListener('blur', this.handleFocusChange);
+    document.addEventListener('visibilitychange', this.handleFocusChange);
+    window.addEventListener('pagehide', this.handleFocusChange);
+    this.publishFocus();
+  }
+
+  stop() {
+    if (!this.listening) return;
+    this.listening = false;
+
+    window.removeEventListener('focus', this.handleFocusChange);
+    window.removeEventListener('blur', this.handleFocusChange);
+    document.removeEventListener('visibilitychange', this.handleFocusChange);
+    window.removeEventListener('pagehide', this.handleFocusChange);
+    this.activeConversationKey = null;
+    this.publishFocus();
+    this.setUnreadCount(0);
+  }
+
+  /**
+   * The conversation open in this tab (null when none).
+   */
+  setActiveConversation(conversationKey) {
+    this.activeConversationKey = conversationKey;
+    this.publishFocus();
+  }
+
+  // Record what the user is looking at, so every tab can tell
+  publishFocus() {
+    const focused = this.listening && document.visibilityState === 'visible' && document.hasFocus();
+    try {
+      if (focused) {
+        localStorage.setItem(
+          FOCUS_KEY,
+          JSON.stringify({ tabId: this.tabId, conversationKey: this.activeConversationKey })
+        );
+      } else if (this.readFocus()?.tabId === this.tabId) {
+        localStorage.removeItem(FOCUS_KEY);
+      }
+    } catch {
+      // Without storage each tab only knows its own focus
+    }
+  }
+
+  readFocus() {
+    try {
+      return JSON.parse(localStorage.getItem(FOCUS_KEY));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Alert about an incoming message in `conversationKey` if the settings
+   * allow it. `title` is shown as the notification title.
+   */
+  notifyMessage(message, { conversationKey, title }) {
+    if (!tabCoordinator.isLeader()) return;
+
+    const settings = this.getSettings();
+    if (settings.muted || this.isConversationMuted(conversationKey)) return;
+
+    const focus = this.readFocus();
+    if (focus && focus.conversationKey === conversationKey) return;
+
+    if (settings.sound !== 'off') {
+      playSound(settings.sound, settings.volume);
+    }
+
+    if (!focus && settings.desktop && this.getPermission() === 'granted') {
+      this.showNotification(message, conversationKey, title);
+    }
+  }
+
+  showNotification(message, conversationKey, title) {
+    const content = getMessagePreviewText(message);
+    try {
+      const notification = new Notification(title || 'New message', {
+        body: content.length > PREVIEW_LENGTH ? `${content.slice(0, PREVIEW_LENGTH)}...` : content,
+        // One notification per conversation; a newer message replaces it
+        tag: `conversation-${conversationKey}`,
+        icon: '/vite.svg',
+      });
+
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+        this.clickCallbacks.forEach((callback) => callback(conversationKey));
+      };
+    } catch (error) {
+      console.error('Failed to show notification:', error);
+    }
+  }
+
+  /**
+   * Show the total unread count in the page title and favicon.
+   */
+  setUnreadCount(count) {
+    if (this.baseTitle === null) {
+      this.baseTitle = document.title;
+    }
+    document.title = count > 0 ? `(${count > 99 ? '99+' : count}) ${this.baseTitle}` : this.baseTitle;
+    setFaviconBadge(count);
+  }
+
+  /**
+   * Register callback for settings changes. Receives the settings.
+   */
+  onSettingsChanged(callback) {
+    this.changeCallbacks.push(callback);
+    return () => {
+      this.changeCallbacks = this.changeCallbacks.filter((c) => c !== callback);
+    };
+  }
+
+  /**
+   * Register callback for notification clicks. Receives the conversation key.
+   */
+  onNotificationClicked(callback) {
+    this.clickCallbacks.push(callback);
+    return () => {
+      this.clickCallbacks = this.clickCallbacks.filter((c) => c !== callback);
+    };
+  }
+}
+
+// Export singleton instance
+export const notificationService = new NotificationService();
@@ -0,0 +1,212 @@
+import { db } from './db';
+
+/**
+ * Persistent outbox for messages that have not reached the server yet.
+ *
+ * FEATURES:
+ * - Survives page reloads and tab closes (IndexedDB)
+ * - Per-message status: pending, sending, sent (awaiting server echo), failed
+ * - Record id doubles as the client message ID used to match the server copy
+ * - Attempt counter and next-attempt time for backoff
+ * - Entries keep their attachment files (Blobs) until they are uploaded
+ * - Besides new messages, entries can be edits and deletions of sent
+ *   messages (kind), sent in the same order
+ * - Change subscription so the UI can render queued messages
+ * - Shared by all tabs of the user: onPersisted() tells other tabs to
+ *   reload(), only the tab holding the hub connection recovers and sends
+ *
+ * DESIGN DECISIONS:
+ * - In-memory list mirrors the store so reads are synchronous
+ * - Records are scoped to the user who queued them; another account
+ *   logging in on the same browser never sends them
+ * - Falls back to memory-only when IndexedDB is unavailable (the queue is
+ *   then not shared between tabs)
+ * - Sending/backoff policy lives in ChatService; this module only stores state
+ */
+
+const STORE_NAME = 'outbox';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+};
+
+// Entries queued before edits existed have no kind and are messages
+export const OUTBOX_KIND = {
+  MESSAGE: 'message',
+  EDIT: 'edit',
+  DELETE: 'delete',
+};
+
+export const isMessageEntry = (item) => !item.kind || item.kind === OUTBOX_KIND.MESSAGE;
+
+const createId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+class OutboxService {
+  constructor() {
+    this.ownerId = null;
+    this.items = [];
+    this.persistent = true;
+    this.changeCallbacks = [];
+    this.persistedCallbacks = [];
+  }
+
+  /**
+   * Load queued messages for a user. With `recover` (the sending tab),
+   * records left in "sending" by a tab that closed mid-send are returned
+   * to "pending" and "sent" records, which were delivered, are dropped.
+   */
+  async load(ownerId, { recover = true } = {}) {
+    this.ownerId = ownerId;
+
+    let records = [];
+    try {
+      records = await db.getAll(STORE_NAME);
+      this.persistent = true;
+    } catch (error) {
+      console.warn('Outbox persistence unavailable, queue will not survive reloads:', error);
+      this.persistent = false;
+      records = this.items;
+    }
+
+    records = records.filter((item) => item.ownerId === ownerId);
+
+    if (recover) {
+      const delivered = records.filter((item) => item.status === OUTBOX_STATUS.SENT);
+      delivered.forEach((item) => this.deleteRecord(item.id));
+
+      records = records
+        .filter((item) => item.status !== OUTBOX_STATUS.SENT)
+        .map((item) =>
+          item.status === OUTBOX_STATUS.SENDING ? { ...item, status: OUTBOX_STATUS.PENDING } : item
+        );
+    }
+
+    this.items = records.sort((a, b) => a.createdAt - b.createdAt);
+    this.notifyChanged();
+  }
+
+  /**
+   * Re-read the queue after another tab changed it.
+   */
+  async reload() {
+    if (!this.persistent || this.ownerId === null) return;
+    await this.load(this.ownerId, { recover: false });
+  }
+
+  getItems() {
+    return this.items;
+  }
+
+  get(id) {
+    return this.items.find((item) => item.id === id);
+  }
+
+  /**
+   * Add a message to the outbox. Resolves once it is durably stored.
+   */
+  async add(fields) {
+    const item = {
+      id: createId(),
+      ownerId: this.ownerId,
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+      createdAt: Date.now(),
+      ...fields,
+    };
+
+    this.items = [...this.items, item];
+    this.notifyChanged();
+    await this.persist(item);
+    return item;
+  }
+
+  async update(id, changes) {
+    const existing = this.get(id);
+    if (!existing) return null;
+
+    const updated = { ...existing, ...changes };
+    this.items = this.items.map((item) => (item.id === id ? updated : item));
+    this.notifyChanged();
+    await this.persist(updated);
+    return updated;
+  }
+
+  async remove(id) {
+    if (!this.get(id)) return;
+
+    this.items = this.items.filter((item) => item.id !== id);
+    this.notifyChanged();
+    await this.deleteRecord(id);
+  }
+
+  /**
+   * Drop an entry from memory only, when another tab already deleted the record.
+   */
+  forget(id) {
+    if (!this.get(id)) return;
+
+    this.items = this.items.filter((item) => item.id !== id);
+    this.notifyChanged();
+  }
+
+  async deleteRecord(id) {
+    if (!this.persistent) return;
+    try {
+      await db.delete(STORE_NAME, id);
+      this.notifyPersisted();
+    } catch (error) {
+      console.error('Failed to remove outbox entry:', error);
+    }
+  }
+
+  async persist(item) {
+    if (!this.persistent) return;
+    try {
+      await db.put(STORE_NAME, item);
+      this.notifyPersisted();
+    } catch (error) {
+      console.error('Failed to persist outbox entry:', error);
+    }
+  }
+
+  /**
+   * Register callback for outbox changes. Receives the full list.
+   */
+  onChanged(callback) {
+    this.changeCallbacks.push(callback);
+    return () => {
+      this.changeCallbacks = this.changeCallbacks.filter((c) => c !== callback);
+    };
+  }
+
+  /**
+   * Register callback for changes written to IndexedDB by this tab.
+   */
+  onPersisted(callback) {
+    this.persistedCallbacks.push(callback);
+    return () => {
+      this.persistedCallbacks = this.persistedCallbacks.filter((c) => c !== callback);
+    };
+  }
+
+  notifyChanged() {
+    this.changeCallbacks.forEach((callback) => callback(this.items));
+  }
+
+  notifyPersisted() {
+    this.persistedCallbacks.forEach((callback) => callback());
+  }
+}
+
+// Export singleton instance
+export const outboxService = new OutboxService();
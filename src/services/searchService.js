@@ -0,0 +1,126 @@
+import api from './api';
+import { messageStore } from './messageStore';
+import { encryptionService } from './encryptionService';
+import { getQueryTerms, getSearchableText, matchesTerms, tokenize } from '../utils/search';
+
+/**
+ * Message search across all conversations.
+ *
+ * FEATURES:
+ * - Local full-text index of the cached conversations (messageStore)
+ * - Server search (GET /messages/search) for history that is not cached
+ * - Results grouped by conversation, newest first
+ *
+ * DESIGN DECISIONS:
+ * - The index is built per conversation, lazily on search, and rebuilt only
+ *   for conversations whose messages changed (messageStore hands out the
+ *   same array until a conversation changes)
+ * - Index words map to message IDs; every query word must prefix a word of
+ *   the message (see utils/search)
+ * - Cached copies win over server results for the same message, since they
+ *   carry live edits and deletions
+ * - Server results are filtered with the same matching as local ones, so
+ *   both highlight and behave alike
+ * - The server only holds ciphertext of encrypted messages: its results are
+ *   decrypted before matching, so an envelope never matches or shows up raw,
+ *   and encrypted messages are in practice only found locally
+ */
+
+const LOCAL_RESULT_LIMIT = 200;
+const SERVER_RESULT_LIMIT = 50;
+
+const byNewest = (a, b) => new Date(b.timestamp) - new Date(a.timestamp);
+
+class SearchService {
+  constructor() {
+    this.ownerId = null;
+    this.indexes = new Map(); // conversationKey -> { messages, words: Map(word -> Set of IDs), byId }
+  }
+
+  getIndex(conversationKey) {
+    // Another user's cache: start over
+    if (this.ownerId !== messageStore.ownerId) {
+      this.ownerId = messageStore.ownerId;
+      this.indexes.clear();
+    }
+
+    const messages = messageStore.getMessages(conversationKey);
+    const cached = this.indexes.get(conversationKey);
+    if (cached?.messages === messages) return cached;
+
+    const words = new Map();
+    messages.forEach((message) => {
+      tokenize(getSearchableText(message)).forEach((word) => {
+        if (!words.has(word)) words.set(word, new Set());
+        words.get(word).add(message.id);
+      });
+    });
+
+    const index = { messages, words, byId: new Map(messages.map((message) => [message.id, message])) };
+    this.indexes.set(conversationKey, index);
+    return index;
+  }
+
+  /**
+   * Cached messages matching the query, newest first.
+   */
+  searchLocal(query) {
+    const terms = getQueryTerms(query);
+    if (terms.length === 0) return [];
+
+    const results = [];
+    messageStore.getConversationKeys().forEach((conversationKey) => {
+      const index = this.getIndex(conversationKey);
+      let ids = null;
+
+      for (const term of terms) {
+        const matched = new Set();
+        index.words.forEach((messageIds, word) => {
+          if (word.startsWith(term)) messageIds.forEach((id) => matched.add(id));
+        });
+        ids = ids ? new Set([...ids].filter((id) => matched.has(id))) : matched;
+        if (ids.size === 0) break;
+      }
+
+      ids.forEach((id) => results.push(index.byId.get(id)));
+    });
+
+    return results.sort(byNewest).slice(0, LOCAL_RESULT_LIMIT);
+  }
+
+  /**
+   * Messages matching the query from the server, newest first.
+   * The endpoint answers with an array of messages.
+   */
+  async searchServer(query) {
+    const terms = getQueryTerms(query);
+    if (terms.length === 0) return [];
+
+    const response = await api.get('/messages/search', {
+      params: { q: query.trim(), limit: SERVER_RESULT_LIMIT },
+    });
+    const messages = await Promise.all(response.data.map((message) => encryptionService.decryptMessage(message)));
+    return messages.filter((message) => matchesTerms(getSearchableText(message), terms));
+  }
+
+  /**
+   * Combine local and server results into [{ conversationKey, messages }],
+   * conversations with the newest match first.
+   */
+  groupResults(localResults, serverResults = []) {
+    const byId = new Map(serverResults.map((message) => [message.id, message]));
+    localResults.forEach((message) => byId.set(message.id, message));
+
+    const groups = new Map();
+    [...byId.values()].sort(byNewest).forEach((message) => {
+      const conversationKey = messageStore.getConversationId(message);
+      if (!groups.has(conversationKey)) groups.set(conversationKey, []);
+      groups.get(conversationKey).push(message);
+    });
+
+    return [...groups].map(([conversationKey, messages]) => ({ conversationKey, messages }));
+  }
+}
+
+// Export singleton instance
+export const searchService = new SearchService();
@@ -0,0 +1,217 @@
+/**
+ * Coordinates the open tabs of one user so only one of them (the leader)
+ * does work that must not be duplicated, such as holding the hub connection.
+ *
+ * FEATURES:
+ * - Leader election with the Web Locks API: the leader holds a named lock
+ *   until it stops or the tab closes, then the next waiting tab takes over
+ * - BroadcastChannel messaging between the tabs of the same scope
+ * - Request/response calls from any tab to the leader, with a timeout
+ *
+ * DESIGN DECISIONS:
+ * - Without Web Locks or BroadcastChannel every tab is its own leader and no
+ *   channel is opened (the behaviour before tabs were coordinated)
+ * - The tab that wins the lock right away is reported by start(); later
+ *   takeovers are reported through onLeader
+ * - Pending requests fail when the leader changes; callers treat them like
+ *   any other failed hub call
+ */
+
+const LOCK_PREFIX = 'communicator-leader';
+const CHANNEL_PREFIX = 'communicator-tabs';
+// A request without response by then is failed (e.g. the leader closed)
+const REQUEST_TIMEOUT_MS = 15000;
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const isSupported = () =>
+  typeof BroadcastChannel !== 'undefined' && typeof navigator !== 'undefined' && !!navigator.locks;
+
+class TabCoordinator {
+  constructor() {
+    this.channel = null;
+    this.leader = false;
+    this.handlers = {};
+    this.releaseLock = null;
+    this.lockAbort = null;
+    this.pendingRequests = new Map(); // request ID -> { resolve, reject, timer }
+    // The lock is released with the page; tell the others right away
+    this.handlePageHide = (event) => {
+      if (this.leader && !event.persisted) {
+        this.post({ type: 'leader-resigned' });
+      }
+    };
+  }
+
+  /**
+   * Join the tabs of `scope` (e.g. one user). Resolves with true when this
+   * tab became the leader immediately, otherwise it waits for the lock in
+   * the background and calls handlers.onLeader() once it gets it.
+   *
+   * handlers:
+   * - onLeader(): this tab took over leadership
+   * - onMessage(message): a message posted by another tab
+   * - onRequest(method, params): answer a request (leader only); may be async
+   */
+  async start(scope, handlers) {
+    this.stop();
+    this.handlers = handlers;
+
+    if (!isSupported()) {
+      this.leader = true;
+      return true;
+    }
+
+    this.channel = new BroadcastChannel(`${CHANNEL_PREFIX}:${scope}`);
+    this.channel.onmessage = (event) => this.handleMessage(event.data);
+    window.addEventListener('pagehide', this.handlePageHide);
+
+    const lockName = `${LOCK_PREFIX}:${scope}`;
+    const channel = this.channel;
+    const acquired = await new Promise((resolve) => {
+      navigator.locks
+        .request(lockName, { ifAvailable: true }, (lock) => {
+          const granted = !!lock && this.channel === channel;
+          resolve(granted);
+          return granted ? this.holdLock() : undefined;
+        })
+        .catch((error) => {
+          console.error('Tab leader election failed:', error);
+          resolve(false);
+        });
+    });
+
+    // Stopped or restarted while the lock was requested
+    if (this.channel !== channel) return false;
+    if (acquired) return true;
+
+    this.waitForLock(lockName, channel);
+    return false;
+  }
+
+  /**
+   * Leave the scope and give up leadership so another tab can take over.
+   */
+  stop() {
+    this.resign();
+    this.lockAbort?.abort();
+    this.lockAbort = null;
+
+    if (this.channel) {
+      window.removeEventListener('pagehide', this.handlePageHide);
+      this.channel.close();
+      this.channel = null;
+    }
+
+    this.rejectPendingRequests('Tab coordination stopped');
+    this.handlers = {};
+    this.leader = false;
+  }
+
+  isLeader() {
+    return this.leader;
+  }
+
+  /**
+   * Post a message to the other tabs of the scope.
+   */
+  post(message) {
+    this.channel?.postMessage(message);
+  }
+
+  /**
+   * Ask the leader tab to run `method`. Resolves with its result.
+   */
+  request(method, params) {
+    if (!this.channel) {
+      return Promise.reject(new Error('Not connected to other tabs'));
+    }
+
+    const id = createId();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        reject(new Error(`No response from the leader tab for ${method}`));
+      }, REQUEST_TIMEOUT_MS);
+
+      this.pendingRequests.set(id, { resolve, reject, timer });
+      this.post({ type: 'request', id, method, params });
+    });
+  }
+
+  // Resolves when leadership is given up, which releases the lock
+  holdLock() {
+    this.leader = true;
+    this.rejectPendingRequests('This tab became the leader');
+    return new Promise((resolve) => {
+      this.releaseLock = resolve;
+    });
+  }
+
+  waitForLock(lockName, channel) {
+    this.lockAbort = new AbortController();
+    navigator.locks
+      .request(lockName, { signal: this.lockAbort.signal }, () => {
+        if (this.channel !== channel) return undefined;
+
+        const held = this.holdLock();
+        this.handlers.onLeader?.();
+        return held;
+      })
+      .catch((error) => {
+        if (error.name !== 'AbortError') {
+          console.error('Tab leader election failed:', error);
+        }
+      });
+  }
+
+  resign() {
+    if (!this.releaseLock) return;
+
+    this.post({ type: 'leader-resigned' });
+    this.releaseLock();
+    this.releaseLock = null;
+    this.leader = false;
+  }
+
+  async handleMessage(message) {
+    if (message.type === 'request') {
+      if (!this.leader || !this.handlers.onRequest) return;
+
+      try {
+        const result = await this.handlers.onRequest(message.method, message.params);
+        this.post({ type: 'response', id: message.id, result });
+      } catch (error) {
+        this.post({ type: 'response', id: message.id, error: error.message });
+      }
+      return;
+    }
+
+    if (message.type === 'response') {
+      const pending = this.pendingRequests.get(message.id);
+      if (!pending) return;
+
+      clearTimeout(pending.timer);
+      this.pendingRequests.delete(message.id);
+      if (message.error !== undefined) {
+        pending.reject(new Error(message.error));
+      } else {
+        pending.resolve(message.result);
+      }
+      return;
+    }
+
+    this.handlers.onMessage?.(message);
+  }
+
+  rejectPendingRequests(reason) {
+    this.pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error(reason));
+    });
+    this.pendingRequests.clear();
+  }
+}
+
+// Export singleton instance
+export const tabCoordinator = new TabCoordinator();
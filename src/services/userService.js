@@ -1,12 +1,31 @@
 import api from './api';
+import { matchesUserQuery } from '../utils/users';
+
+export const USER_PAGE_SIZE = 50;
 
 /**
  * User service for fetching user data.
  */
 
 export const userService = {
-  async getAllUsers() {
-    const response = await api.get('/users');
+  /**
+   * One page of the user directory, optionally filtered by username.
+   * Resolves with { users, hasMore }. Servers without paging answer with
+   * every user, which is filtered here and reported as the only page.
+   */
+  async searchUsers({ query = '', page = 1, pageSize = USER_PAGE_SIZE } = {}) {
+    const response = await api.get('/users', {
+      params: { search: query.trim() || undefined, page, pageSize },
+    });
+
+    if (Array.isArray(response.data)) {
+      return { users: response.data.filter((user) => matchesUserQuery(user, query)), hasMore: false };
+    }
+    return { users: response.data.items, hasMore: response.data.hasMore };
+  },
+
+  async getUser(userId) {
+    const response = await api.get(`/users/${userId}`);
     return response.data;
   },
 };
@@ -0,0 +1,26 @@
+/**
+ * Display helpers for message attachments and message previews.
+ */
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const isImageAttachment = (attachment) => attachment.contentType?.startsWith('image/');
+
+/**
+ * Text for previews and notifications: the content, or a note for
+ * deleted messages, messages that only carry attachments and encrypted
+ * messages that can't be read.
+ */
+export const getMessagePreviewText = (message) => {
+  if (message.deletedAt) return 'Message deleted';
+  if (message.decryptFailed) return 'Encrypted message';
+  if (message.content) return message.content;
+  const count = message.attachments?.length || 0;
+  if (count === 0) return '';
+  if (count > 1) return `${count} attachments`;
+  return isImageAttachment(message.attachments[0]) ? 'Photo' : message.attachments[0].fileName;
+};
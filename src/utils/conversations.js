@@ -0,0 +1,86 @@
+/**
+ * Conversation keys and models shared by direct and group chats.
+ *
+ * A direct conversation is keyed by the other user's ID (a number, as in
+ * caches written before groups existed); a group by "group:<groupId>".
+ */
+
+const GROUP_KEY_PREFIX = 'group:';
+
+export const getGroupKey = (groupId) => `${GROUP_KEY_PREFIX}${groupId}`;
+
+export const isGroupKey = (key) => typeof key === 'string' && key.startsWith(GROUP_KEY_PREFIX);
+
+export const getGroupIdFromKey = (key) => Number(key.slice(GROUP_KEY_PREFIX.length));
+
+/**
+ * URL of a conversation: /chat/<userId> or /chat/group/<groupId>.
+ */
+export const getConversationPath = (key) =>
+  isGroupKey(key) ? `/chat/group/${getGroupIdFromKey(key)}` : `/chat/${key}`;
+
+/**
+ * Conversation key from the chat route's params: null for /chat itself,
+ * undefined if the URL does not name a conversation (e.g. /chat/abc).
+ */
+export const getRouteConversationKey = ({ userId, groupId }) => {
+  const parseId = (value) => (/^\d+$/.test(value) ? Number(value) : undefined);
+  if (groupId !== undefined) {
+    const id = parseId(groupId);
+    return id === undefined ? undefined : getGroupKey(id);
+  }
+  return userId !== undefined ? parseId(userId) : null;
+};
+
+/**
+ * Key of the conversation a message belongs to, seen by `currentUserId`.
+ */
+export const getMessageConversationKey = (message, currentUserId) => {
+  if (message.groupId !== undefined && message.groupId !== null) {
+    return getGroupKey(message.groupId);
+  }
+  return message.senderId === currentUserId ? message.receiverId : message.senderId;
+};
+
+/**
+ * Key of the conversation a ConversationPage belongs to (undefined if it
+ * can't be told: an empty page without otherUserId or groupId).
+ */
+export const getPageConversationKey = (page, currentUserId) => {
+  if (page.groupId !== undefined && page.groupId !== null) return getGroupKey(page.groupId);
+  if (page.otherUserId !== undefined && page.otherUserId !== null) return page.otherUserId;
+  const lastMessage = page.messages[page.messages.length - 1];
+  return lastMessage ? getMessageConversationKey(lastMessage, currentUserId) : undefined;
+};
+
+/**
+ * Key of the conversation an outbox entry is queued for.
+ */
+export const getOutboxConversationKey = (item) =>
+  item.groupId !== undefined && item.groupId !== null ? getGroupKey(item.groupId) : item.receiverId;
+
+export const toDirectConversation = (user) => ({
+  type: 'direct',
+  key: user.id,
+  id: user.id,
+  title: user.username,
+  user,
+});
+
+export const toGroupConversation = (group) => ({
+  type: 'group',
+  key: getGroupKey(group.id),
+  id: group.id,
+  title: group.name,
+  group,
+});
+
+/**
+ * A request to scroll to and highlight a message (ChatWindow focusRequest).
+ * Each call makes a new request; the newest one wins.
+ */
+export const createFocusRequest = (conversationKey, messageId) => ({
+  conversationKey,
+  messageId,
+  requestedAt: Date.now(),
+});
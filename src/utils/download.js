@@ -0,0 +1,14 @@
+/**
+ * Save text content as a file through the browser's download.
+ */
+export const downloadFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoked after the click has started the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
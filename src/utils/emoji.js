@@ -0,0 +1,83 @@
+/**
+ * Emoji shortcodes (as in ":thumbsup:") supported in messages.
+ */
+
+export const EMOJI_SHORTCODES = {
+  '+1': '\u{1F44D}',
+  thumbsup: '\u{1F44D}',
+  '-1': '\u{1F44E}',
+  thumbsdown: '\u{1F44E}',
+  ok_hand: '\u{1F44C}',
+  clap: '\u{1F44F}',
+  wave: '\u{1F44B}',
+  pray: '\u{1F64F}',
+  muscle: '\u{1F4AA}',
+  raised_hands: '\u{1F64C}',
+  point_up: '\u{261D}\u{FE0F}',
+  eyes: '\u{1F440}',
+  smile: '\u{1F604}',
+  smiley: '\u{1F603}',
+  grinning: '\u{1F600}',
+  laughing: '\u{1F606}',
+  joy: '\u{1F602}',
+  rofl: '\u{1F923}',
+  wink: '\u{1F609}',
+  blush: '\u{1F60A}',
+  slightly_smiling_face: '\u{1F642}',
+  upside_down_face: '\u{1F643}',
+  heart_eyes: '\u{1F60D}',
+  kissing_heart: '\u{1F618}',
+  thinking: '\u{1F914}',
+  neutral_face: '\u{1F610}',
+  expressionless: '\u{1F611}',
+  roll_eyes: '\u{1F644}',
+  smirk: '\u{1F60F}',
+  sweat_smile: '\u{1F605}',
+  sunglasses: '\u{1F60E}',
+  confused: '\u{1F615}',
+  worried: '\u{1F61F}',
+  cry: '\u{1F622}',
+  sob: '\u{1F62D}',
+  angry: '\u{1F620}',
+  rage: '\u{1F621}',
+  scream: '\u{1F631}',
+  open_mouth: '\u{1F62E}',
+  flushed: '\u{1F633}',
+  sleeping: '\u{1F634}',
+  mask: '\u{1F637}',
+  partying_face: '\u{1F973}',
+  heart: '\u{2764}\u{FE0F}',
+  broken_heart: '\u{1F494}',
+  fire: '\u{1F525}',
+  star: '\u{2B50}',
+  sparkles: '\u{2728}',
+  tada: '\u{1F389}',
+  rocket: '\u{1F680}',
+  '100': '\u{1F4AF}',
+  check: '\u{2714}\u{FE0F}',
+  white_check_mark: '\u{2705}',
+  x: '\u{274C}',
+  warning: '\u{26A0}\u{FE0F}',
+  question: '\u{2753}',
+  exclamation: '\u{2757}',
+  bulb: '\u{1F4A1}',
+  coffee: '\u{2615}',
+  beer: '\u{1F37A}',
+  pizza: '\u{1F355}',
+  cake: '\u{1F370}',
+  sun: '\u{2600}\u{FE0F}',
+  cloud: '\u{2601}\u{FE0F}',
+  zap: '\u{26A1}',
+  bug: '\u{1F41B}',
+  memo: '\u{1F4DD}',
+  calendar: '\u{1F4C5}',
+  lock: '\u{1F512}',
+  key: '\u{1F511}',
+  link: '\u{1F517}',
+  see_no_evil: '\u{1F648}',
+  shrug: '\u{1F937}',
+  facepalm: '\u{1F926}',
+};
+
+export const getEmoji = (shortcode) =>
+  Object.prototype.hasOwnProperty.call(EMOJI_SHORTCODES, shortcode) ? EMOJI_SHORTCODES[shortcode] : null;
@@ -0,0 +1,77 @@
+/**
+ * Draws an unread count onto the page favicon.
+ * The original icon is kept and restored when the count drops to zero.
+ */
+
+const ICON_SIZE = 32;
+
+let originalHref = null;
+let iconImage = null;
+let drawnCount = 0;
+
+const getIconLink = () => {
+  let link = document.querySelector('link[rel~="icon"]');
+  if (!link) {
+    link = document.createElement('link');
+    link.rel = 'icon';
+    document.head.appendChild(link);
+  }
+  return link;
+};
+
+const loadIcon = (href) =>
+  new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = href;
+  });
+
+/**
+ * Show `count` on the favicon (99+ above 99); 0 restores the original icon.
+ */
+export async function setFaviconBadge(count) {
+  if (typeof document === 'undefined' || count === drawnCount) return;
+  drawnCount = count;
+
+  const link = getIconLink();
+  if (originalHref === null) {
+    originalHref = link.getAttribute('href') || '';
+  }
+
+  if (count === 0) {
+    link.type = originalHref.endsWith('.svg') ? 'image/svg+xml' : '';
+    link.href = originalHref;
+    return;
+  }
+
+  iconImage = iconImage || (originalHref ? await loadIcon(originalHref) : null);
+  // Another update happened while the icon loaded
+  if (count !== drawnCount) return;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = ICON_SIZE;
+  canvas.height = ICON_SIZE;
+  const context = canvas.getContext('2d');
+  if (!context) return;
+
+  if (iconImage) {
+    context.drawImage(iconImage, 0, 0, ICON_SIZE, ICON_SIZE);
+  }
+
+  const label = count > 99 ? '99+' : String(count);
+  const radius = label.length > 1 ? 11 : 9;
+  context.fillStyle = '#f44336';
+  context.beginPath();
+  context.arc(ICON_SIZE - radius, ICON_SIZE - radius, radius, 0, 2 * Math.PI);
+  context.fill();
+
+  context.fillStyle = '#fff';
+  context.font = `bold ${label.length > 2 ? 10 : 14}px sans-serif`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(label, ICON_SIZE - radius, ICON_SIZE - radius + 1);
+
+  link.type = 'image/png';
+  link.href = canvas.toDataURL('image/png');
+}
@@ -0,0 +1,133 @@
+import { getEmoji } from './emoji';
+
+/**
+ * Message formatting: parses message text into a tree of nodes that
+ * FormattedMessage renders as React elements.
+ *
+ * Supported syntax:
+ * - **bold** or __bold__
+ * - *italic* or _italic_
+ * - `inline code`
+ * - ```fenced code blocks``` (optional language after the opening fence)
+ * - http(s):// and www. URLs become links
+ * - :shortcode: emoji (see utils/emoji)
+ *
+ * DESIGN DECISIONS:
+ * - The output is plain data, never HTML; text is only ever rendered as
+ *   React text nodes, so a message cannot inject markup
+ * - Links are only produced from http(s) URLs matched here, so no
+ *   javascript: or data: URL can become an href
+ * - Underscores inside words (snake_case) do not start italics
+ * - Nothing is formatted inside code
+ *
+ * Node types:
+ *   { type: 'text', text }            { type: 'code', text }
+ *   { type: 'bold', children }        { type: 'italic', children }
+ *   { type: 'link', href, text }      { type: 'codeBlock', language, text }
+ */
+
+const CODE_BLOCK_PATTERN = /```([\w+#.-]*)[ \t]*\n?([\s\S]*?)```/g;
+
+const INLINE_PATTERN = new RegExp(
+  [
+    '`(?<code>[^`\\n]+)`',
+    '\\*\\*(?<bold>\\S(?:[\\s\\S]*?\\S)?)\\*\\*',
+    '(?<!\\w)__(?<boldAlt>\\S(?:[\\s\\S]*?\\S)?)__(?!\\w)',
+    '\\*(?<italic>[^\\s*](?:[^*]*?[^\\s*])?)\\*',
+    '(?<!\\w)_(?<italicAlt>[^\\s_](?:[^_]*?[^\\s_])?)_(?!\\w)',
+    '(?<url>(?:\\bhttps?:\\/\\/|\\bwww\\.)[^\\s<>]+)',
+    ':(?<emoji>[a-z0-9_+-]+):',
+  ].join('|'),
+  'g'
+);
+
+// Punctuation that ends a sentence rather than the URL
+const URL_TRAILING_PUNCTUATION = /[.,:;!?'"*_]+$/;
+
+/**
+ * Drop trailing punctuation from a matched URL, and a closing parenthesis
+ * unless the URL has a matching opening one (as in Wikipedia links).
+ */
+const trimUrl = (url) => {
+  let trimmed = url.replace(URL_TRAILING_PUNCTUATION, '');
+  while (trimmed.endsWith(')') && trimmed.split('(').length <= trimmed.split(')').length - 1) {
+    trimmed = trimmed.slice(0, -1).replace(URL_TRAILING_PUNCTUATION, '');
+  }
+  return trimmed;
+};
+
+const pushText = (nodes, text) => {
+  if (!text) return;
+  const last = nodes[nodes.length - 1];
+  if (last?.type === 'text') {
+    last.text += text;
+  } else {
+    nodes.push({ type: 'text', text });
+  }
+};
+
+/**
+ * Parse inline formatting (everything except code blocks).
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  const pattern = new RegExp(INLINE_PATTERN);
+  let position = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const { code, bold, boldAlt, italic, italicAlt, url, emoji } = match.groups;
+    pushText(nodes, text.slice(position, match.index));
+    position = match.index + match[0].length;
+
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (bold !== undefined || boldAlt !== undefined) {
+      nodes.push({ type: 'bold', children: parseInline(bold ?? boldAlt) });
+    } else if (italic !== undefined || italicAlt !== undefined) {
+      nodes.push({ type: 'italic', children: parseInline(italic ?? italicAlt) });
+    } else if (url !== undefined) {
+      const linkText = trimUrl(url);
+      nodes.push({
+        type: 'link',
+        href: linkText.startsWith('www.') ? `https://${linkText}` : linkText,
+        text: linkText,
+      });
+      position = match.index + linkText.length;
+      pattern.lastIndex = position;
+    } else if (getEmoji(emoji)) {
+      pushText(nodes, getEmoji(emoji));
+    } else {
+      // Not a known shortcode; its closing colon may open the next one
+      pushText(nodes, ':');
+      position = match.index + 1;
+      pattern.lastIndex = position;
+    }
+  }
+
+  pushText(nodes, text.slice(position));
+  return nodes;
+};
+
+/**
+ * Parse message text into block and inline nodes.
+ */
+export const parseMessage = (text) => {
+  if (!text) return [];
+
+  const nodes = [];
+  const pattern = new RegExp(CODE_BLOCK_PATTERN);
+  let position = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    nodes.push(...parseInline(text.slice(position, match.index).replace(/\n$/, '')));
+    nodes.push({ type: 'codeBlock', language: match[1], text: match[2].replace(/\n$/, '') });
+    position = match.index + match[0].length;
+    // The block is its own line; don't leave the newline after it as text
+    if (text[position] === '\n') position += 1;
+  }
+
+  nodes.push(...parseInline(text.slice(position)));
+  return nodes;
+};
@@ -0,0 +1,31 @@
+/**
+ * JWT helpers. Tokens are only decoded, never verified; the server does that.
+ */
+
+const decodeBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=');
+  const binary = atob(padded);
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+/**
+ * Decode the payload of a JWT, or null if the token is malformed.
+ */
+export function decodeJwtPayload(token) {
+  try {
+    const [, payload] = token.split('.');
+    return JSON.parse(decodeBase64Url(payload));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Expiry time in milliseconds since the epoch, or null if the token has no "exp".
+ */
+export function getTokenExpiry(token) {
+  const payload = token ? decodeJwtPayload(token) : null;
+  return typeof payload?.exp === 'number' ? payload.exp * 1000 : null;
+}
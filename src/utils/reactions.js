@@ -0,0 +1,25 @@
+/**
+ * Message reactions. A message carries `reactions`: one entry per emoji,
+ * [{ emoji, userIds }], in the order the emoji were first used.
+ */
+
+// Offered in the reaction picker
+export const QUICK_REACTIONS = ['\u{1F44D}', '\u{2764}\u{FE0F}', '\u{1F602}', '\u{1F62E}', '\u{1F622}', '\u{1F389}'];
+
+export const hasReacted = (reactions, emoji, userId) =>
+  !!reactions?.some((reaction) => reaction.emoji === emoji && reaction.userIds.includes(userId));
+
+/**
+ * The reactions with a user's reaction added or removed. Emoji nobody
+ * reacted with any more are dropped.
+ */
+export const setUserReaction = (reactions = [], emoji, userId, reacted) => {
+  const next = reactions.some((reaction) => reaction.emoji === emoji)
+    ? reactions.map((reaction) => {
+        if (reaction.emoji !== emoji) return reaction;
+        const userIds = reaction.userIds.filter((id) => id !== userId);
+        return { emoji, userIds: reacted ? [...userIds, userId] : userIds };
+      })
+    : [...reactions, { emoji, userIds: reacted ? [userId] : [] }];
+  return next.filter((reaction) => reaction.userIds.length > 0);
+};
@@ -0,0 +1,64 @@
+/**
+ * Text matching for message search. Words are compared case- and
+ * accent-insensitively, and every word of the query must start a word of
+ * the message ("deploy fri" finds "Deploying on Friday").
+ */
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+// Characters of context kept before the first match in a result snippet
+const SNIPPET_CONTEXT = 40;
+
+const normalizeWord = (word) => word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * The normalized words of a text.
+ */
+export const tokenize = (text) => (text ? (text.match(WORD_PATTERN) || []).map(normalizeWord) : []);
+
+/**
+ * The distinct words of a query.
+ */
+export const getQueryTerms = (query) => [...new Set(tokenize(query))];
+
+/**
+ * Text searched for a message: its content and attachment file names.
+ */
+export const getSearchableText = (message) =>
+  message.deletedAt
+    ? ''
+    : [message.content, ...(message.attachments || []).map((attachment) => attachment.fileName)]
+        .filter(Boolean)
+        .join('\n');
+
+export const matchesTerms = (text, terms) => {
+  const words = tokenize(text);
+  return terms.every((term) => words.some((word) => word.startsWith(term)));
+};
+
+/**
+ * Split text into segments for display, marking the words that match a
+ * term: [{ text, match }]. Long text is cut to start shortly before the
+ * first match.
+ */
+export const getHighlightSegments = (text, terms) => {
+  const segments = [];
+  let position = 0;
+  let firstMatch = -1;
+
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    const word = normalizeWord(match[0]);
+    if (!terms.some((term) => word.startsWith(term))) continue;
+
+    if (firstMatch === -1) firstMatch = match.index;
+    if (match.index > position) segments.push({ text: text.slice(position, match.index), match: false });
+    segments.push({ text: match[0], match: true });
+    position = match.index + match[0].length;
+  }
+  if (position < text.length) segments.push({ text: text.slice(position), match: false });
+
+  if (firstMatch > SNIPPET_CONTEXT && segments.length > 0 && !segments[0].match) {
+    const lead = segments[0].text;
+    segments[0] = { text: `…${lead.slice(lead.length - SNIPPET_CONTEXT).trimStart()}`, match: false };
+  }
+  return segments;
+};
@@ -0,0 +1,60 @@
+/**
+ * Short alert sounds synthesized with the Web Audio API (no audio files to load).
+ * Each tone is [frequency in Hz, start offset in s, duration in s].
+ */
+const SOUNDS = {
+  chime: [
+    [880, 0, 0.18],
+    [1318.5, 0.12, 0.3],
+  ],
+  ping: [[1046.5, 0, 0.25]],
+  knock: [
+    [196, 0, 0.08],
+    [196, 0.14, 0.08],
+  ],
+};
+
+export const SOUND_OPTIONS = [
+  { value: 'chime', label: 'Chime' },
+  { value: 'ping', label: 'Ping' },
+  { value: 'knock', label: 'Knock' },
+  { value: 'off', label: 'No sound' },
+];
+
+let audioContext = null;
+
+/**
+ * Play a named sound at `volume` (0 to 1). Browsers may refuse until the
+ * user has interacted with the page; that is not an error worth reporting.
+ */
+export async function playSound(name, volume = 0.5) {
+  const tones = SOUNDS[name];
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!tones || volume <= 0 || !AudioContextClass) return;
+
+  try {
+    audioContext = audioContext || new AudioContextClass();
+    if (audioContext.state === 'suspended') {
+      await audioContext.resume();
+    }
+
+    const now = audioContext.currentTime;
+    tones.forEach(([frequency, offset, duration]) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+
+      // Short attack and exponential decay avoid clicks
+      gain.gain.setValueAtTime(0.0001, now + offset);
+      gain.gain.exponentialRampToValueAtTime(volume, now + offset + 0.01);
+      gain.gain.exponentialRampToValueAtTime(0.0001, now + offset + duration);
+
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(now + offset);
+      oscillator.stop(now + offset + duration + 0.05);
+    });
+  } catch (error) {
+    console.warn('Could not play notification sound:', error);
+  }
+}
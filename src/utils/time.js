@@ -0,0 +1,44 @@
+/**
+ * Time formatting helpers shared by chat components.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Compact relative time for list previews: "now", "5m", "3h", "Yesterday",
+ * weekday within the last week, otherwise a short date.
+ */
+export function formatRelativeTime(timestamp, now = Date.now()) {
+  const date = new Date(timestamp);
+  const elapsed = now - date.getTime();
+
+  if (Number.isNaN(elapsed)) return '';
+  if (elapsed < MINUTE) return 'now';
+  if (elapsed < HOUR) return `${Math.floor(elapsed / MINUTE)}m`;
+  if (elapsed < DAY) return `${Math.floor(elapsed / HOUR)}h`;
+  if (elapsed < 2 * DAY) return 'Yesterday';
+  if (elapsed < 7 * DAY) return date.toLocaleDateString([], { weekday: 'short' });
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Presence line for a chat header: "Last seen just now", "Last seen 5 minutes ago",
+ * "Last seen today at 14:05", "Last seen yesterday at 09:12", "Last seen Mar 3".
+ */
+export function formatLastSeen(timestamp, now = Date.now()) {
+  const date = new Date(timestamp);
+  const elapsed = now - date.getTime();
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  if (Number.isNaN(elapsed)) return 'Offline';
+  if (elapsed < MINUTE) return 'Last seen just now';
+  if (elapsed < HOUR) {
+    const minutes = Math.floor(elapsed / MINUTE);
+    return `Last seen ${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  }
+  if (new Date(now).toDateString() === date.toDateString()) return `Last seen today at ${time}`;
+  if (elapsed < 2 * DAY) return `Last seen yesterday at ${time}`;
+  return `Last seen ${date.toLocaleDateString([], { month: 'short', day: 'numeric' })}`;
+}
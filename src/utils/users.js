@@ -0,0 +1,18 @@
+/**
+ * User directory helpers. The directory is ordered by username, as the
+ * server pages it.
+ */
+
+export const compareUsers = (a, b) => a.username.localeCompare(b.username) || a.id - b.id;
+
+export const matchesUserQuery = (user, query) =>
+  !query.trim() || user.username.toLowerCase().includes(query.trim().toLowerCase());
+
+/**
+ * Merge users into a sorted list: one entry per ID, the incoming copy winning.
+ */
+export const mergeUsers = (users, incoming) => {
+  const byId = new Map(users.map((user) => [user.id, user]));
+  incoming.forEach((user) => byId.set(user.id, user));
+  return [...byId.values()].sort(compareUsers);
+};